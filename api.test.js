@@ -1,15 +1,88 @@
 jest.setTimeout(30000);
 
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const crypto = require("crypto");
+const os = require("os");
+const { createServer, get: httpGet } = require("http");
 const request = require("supertest");
-const api = request("http://app:3000");
+const baseUrl = "http://app:3000";
+const http = request(baseUrl);
+
+let userCounter = 0;
+const uniqueUsername = () =>
+  `user_${Date.now().toString(36)}_${(userCounter += 1)}`;
+const testPassword = "correct-horse-battery-staple";
+
+function authClient(session) {
+  const withAuth = (req) => req.set("Authorization", `Bearer ${session.token}`);
+  return {
+    get: (url) => withAuth(http.get(url)),
+    post: (url) => withAuth(http.post(url)),
+    put: (url) => withAuth(http.put(url)),
+    delete: (url) => withAuth(http.delete(url)),
+  };
+}
+
+async function registerUser(username, extra = {}) {
+  return http
+    .post("/api/auth/register")
+    .send({ username, password: testPassword, ...extra });
+}
+
+async function login(username, password = testPassword) {
+  return http.post("/api/auth/login").send({ username, password });
+}
+
+async function registerAndLogin(extra = {}) {
+  const username = uniqueUsername();
+  const registered = await registerUser(username, extra);
+  expect(registered.status, "Test user registration should succeed").toBe(201);
+  const res = await login(username);
+  expect(res.status, "Test user login should succeed").toBe(200);
+  return res.body.token;
+}
+
+async function newUserApi(extra = {}) {
+  const token = await registerAndLogin(extra);
+  return { ...authClient({ token }), token };
+}
+
+const session = {};
+const api = authClient(session);
+
+beforeAll(async () => {
+  session.token = await registerAndLogin();
+});
 
 const fmt = (d) => d.toISOString().split("T")[0];
+const fmtInZone = (d, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone }).format(d);
+
+const moodClassifier = process.env.MOOD_CLASSIFIER || "rules";
+
+const maxTextLength = Number(process.env.MAX_TEXT_LENGTH || 10000);
+
+// The shared session sends a few hundred requests per run, so the app's
+// per-client limit must be configured above that for the suite to pass.
+const rateLimitMax = Number(process.env.RATE_LIMIT_MAX || 1000);
+
+async function createEntry(text, classifier) {
+  const req = api.post("/api/entries");
+  if (classifier) req.set("X-Mood-Classifier", classifier);
+  const res = await req.send({ text });
+  return res.body.id;
+}
 
-async function createEntry(text) {
-  const res = await api.post("/api/entries").send({ text });
+async function createTaggedEntry(text, tags) {
+  const res = await api.post("/api/entries").send({ text, tags });
   return res.body.id;
 }
 
+async function runBatch(operations, options = {}) {
+  return api.post("/api/entries/batch").send({ operations, ...options });
+}
+
 async function listEntries(query = "") {
   return api.get(`/api/entries${query}`);
 }
@@ -26,10 +99,49 @@ async function deleteEntry(id) {
   return api.delete(`/api/entries/${id}`);
 }
 
+async function getRevisions(id) {
+  return api.get(`/api/entries/${id}/revisions`);
+}
+
+async function restoreRevision(id, rev) {
+  return api.post(`/api/entries/${id}/revisions/${rev}/restore`);
+}
+
+async function listTrash() {
+  return api.get("/api/trash");
+}
+
+async function restoreFromTrash(id) {
+  return api.post(`/api/trash/${id}/restore`);
+}
+
+async function exportEntries(query = "") {
+  return api.get(`/api/export${query}`);
+}
+
+async function importEntries(payload, query = "") {
+  return api.post(`/api/import${query}`).send(payload);
+}
+
+async function importCsv(csv, query = "") {
+  return api
+    .post(`/api/import${query}`)
+    .set("Content-Type", "text/csv")
+    .send(csv);
+}
+
 async function getMoodSummary(query = "") {
   return api.get(`/api/mood/summary${query}`);
 }
 
+async function getMoodTrends(query = "") {
+  return api.get(`/api/mood/trends${query}`);
+}
+
+async function getMoodBreakdown(client, query = "") {
+  return client.get(`/api/mood/breakdown${query}`);
+}
+
 const validTexts = [
   "I am very happy today!",
   "Feeling sad and lonely",
@@ -66,7 +178,11 @@ describe("Task 2: Journal Entry Model and POST Route", () => {
     expect(
       body,
       "Should return specific error message for missing text"
-    ).toEqual({ error: "Text must not be empty" });
+    ).toEqual({
+      error: "Text must not be empty",
+      code: "TEXT_EMPTY",
+      field: "text",
+    });
   });
 
   it("should reject POST requests with empty or whitespace-only text", async () => {
@@ -84,7 +200,11 @@ describe("Task 2: Journal Entry Model and POST Route", () => {
       expect(
         body,
         `Should return error for whitespace text: "${invalidText}"`
-      ).toEqual({ error: "Text must not be empty" });
+      ).toEqual({
+        error: "Text must not be empty",
+        code: "TEXT_EMPTY",
+        field: "text",
+      });
     }
   });
 
@@ -100,6 +220,8 @@ describe("Task 2: Journal Entry Model and POST Route", () => {
       ).toBe(400);
       expect(body, `Should return error for ${invalidText} text`).toEqual({
         error: "Text must not be empty",
+        code: "TEXT_EMPTY",
+        field: "text",
       });
     }
   });
@@ -303,7 +425,7 @@ describe("Task 3: CRUD Operations", () => {
 describe("Task 4: Mood Extraction Service", () => {
   it("should extract and include mood in newly created entries", async () => {
     const entryText = "I am extremely happy and excited today!";
-    const entryId = await createEntry(entryText);
+    const entryId = await createEntry(entryText, moodClassifier);
 
     const { status, body } = await getEntry(entryId);
 
@@ -322,7 +444,7 @@ describe("Task 4: Mood Extraction Service", () => {
     ];
 
     for (const text of emotionalTexts) {
-      const entryId = await createEntry(text);
+      const entryId = await createEntry(text, moodClassifier);
       const { body } = await getEntry(entryId);
 
       expect(body).toHaveProperty("mood");
@@ -332,6 +454,27 @@ describe("Task 4: Mood Extraction Service", () => {
       ).toBe("string");
     }
   });
+
+  it("should record the pinned classifier and extract moods deterministically", async () => {
+    const text = "I am so joyful and happy!";
+    const firstId = await createEntry(text, moodClassifier);
+    const secondId = await createEntry(text, moodClassifier);
+
+    const { body: first } = await getEntry(firstId);
+    const { body: second } = await getEntry(secondId);
+
+    expect(first.classifier, "Entry should record the pinned classifier").toBe(
+      moodClassifier
+    );
+    expect(second.mood, "Same text should yield the same mood").toBe(
+      first.mood
+    );
+    expect(second.emotions, "Same text should yield the same emotions").toEqual(
+      first.emotions
+    );
+
+    await Promise.all([deleteEntry(firstId), deleteEntry(secondId)]);
+  });
 });
 
 describe("Task 5: Mood Filtering", () => {
@@ -722,3 +865,3330 @@ describe("Task 7: Time Range Filtering", () => {
     expect(body).toHaveProperty("mood");
   });
 });
+
+describe("Task 8: Pagination and Sorting", () => {
+  let pagedEntries = [];
+
+  beforeAll(async () => {
+    for (let i = 1; i <= 5; i++) {
+      const id = await createEntry(`Pagination test entry ${i}`);
+      const { body } = await getEntry(id);
+      pagedEntries.push(body);
+    }
+  });
+
+  afterAll(async () => {
+    await Promise.all(pagedEntries.map((entry) => deleteEntry(entry.id)));
+  });
+
+  it("should return a page envelope when limit is provided", async () => {
+    const { status, body } = await listEntries("?limit=2");
+
+    expect(status, "Paginated listing should return 200 OK").toBe(200);
+    expect(
+      Array.isArray(body),
+      "Paginated response should not be an array"
+    ).toBe(false);
+    expect(
+      Array.isArray(body.items),
+      "Envelope should contain items array"
+    ).toBe(true);
+    expect(
+      body.items.length,
+      "Page should not exceed limit"
+    ).toBeLessThanOrEqual(2);
+    expect(typeof body.total, "Envelope total should be a number").toBe(
+      "number"
+    );
+    expect(
+      body.total,
+      "Total should be at least the number of items on the page"
+    ).toBeGreaterThanOrEqual(body.items.length);
+    expect(body).toHaveProperty("nextCursor");
+  });
+
+  it("should walk newest entries page by page using nextCursor", async () => {
+    const seenIds = [];
+    let cursor = null;
+
+    for (let page = 0; page < 3; page++) {
+      const query = cursor
+        ? `?sort=-createdAt&limit=2&cursor=${encodeURIComponent(cursor)}`
+        : "?sort=-createdAt&limit=2";
+      const { status, body } = await listEntries(query);
+
+      expect(status, `Page ${page + 1} should return 200 OK`).toBe(200);
+      seenIds.push(...body.items.map((e) => e.id));
+      cursor = body.nextCursor;
+      if (!cursor) break;
+    }
+
+    expect(new Set(seenIds).size, "Pages should not repeat entries").toBe(
+      seenIds.length
+    );
+    expect(
+      [...seenIds.slice(0, pagedEntries.length)].sort(),
+      "Newest-first pages should start with the created entries"
+    ).toEqual(pagedEntries.map((e) => e.id).sort());
+  });
+
+  it("should return an empty page with null nextCursor when nothing matches", async () => {
+    const { status, body } = await listEntries(
+      "?startDate=2000-01-01&endDate=2000-01-02&limit=10"
+    );
+
+    expect(status, "Empty paginated listing should return 200 OK").toBe(200);
+    expect(body.items, "Should return no items").toEqual([]);
+    expect(body.total, "Total should be zero").toBe(0);
+    expect(body.nextCursor, "Last page should have no next cursor").toBeNull();
+  });
+
+  it("should sort entries ascending by createdAt", async () => {
+    const { status, body } = await listEntries("?sort=createdAt&limit=20");
+
+    expect(status, "Ascending sort should return 200 OK").toBe(200);
+
+    for (let i = 1; i < body.items.length; i++) {
+      expect(
+        new Date(body.items[i].createdAt) >=
+          new Date(body.items[i - 1].createdAt),
+        "Entries should be in ascending createdAt order"
+      ).toBe(true);
+    }
+  });
+
+  it("should sort entries by updatedAt descending", async () => {
+    const target = pagedEntries[0];
+    await updateEntry(target.id, "Pagination test entry 1 (edited)");
+
+    const { status, body } = await listEntries("?sort=-updatedAt&limit=1");
+
+    expect(status, "updatedAt sort should return 200 OK").toBe(200);
+    expect(
+      body.items[0].id,
+      "Most recently updated entry should come first"
+    ).toBe(target.id);
+  });
+
+  it("should combine pagination with mood and date filters", async () => {
+    const targetMood = pagedEntries[1].mood;
+    const now = new Date();
+    const yesterday = new Date(now);
+    yesterday.setDate(now.getDate() - 1);
+    const tomorrow = new Date(now);
+    tomorrow.setDate(now.getDate() + 1);
+    const filters = `moods=${targetMood}&startDate=${fmt(
+      yesterday
+    )}&endDate=${fmt(tomorrow)}`;
+
+    const { body: unpaged } = await listEntries(`?${filters}`);
+    const { status, body } = await listEntries(`?${filters}&limit=1`);
+
+    expect(status, "Filtered pagination should return 200 OK").toBe(200);
+    expect(body.total, "Total should count all filtered entries").toBe(
+      unpaged.length
+    );
+    body.items.forEach((entry) => {
+      expect(entry.mood, `All entries should have mood "${targetMood}"`).toBe(
+        targetMood
+      );
+    });
+  });
+
+  it("should return 400 for invalid limit values", async () => {
+    for (const limit of ["0", "-1", "abc"]) {
+      const { status, body } = await listEntries(`?limit=${limit}`);
+
+      expect(status, `Should return 400 for invalid limit: "${limit}"`).toBe(
+        400
+      );
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should return 400 for malformed cursor or unsupported sort field", async () => {
+    for (const query of ["?limit=2&cursor=not-a-cursor", "?sort=text"]) {
+      const { status, body } = await listEntries(query);
+
+      expect(status, `Should return 400 for query: "${query}"`).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+});
+
+describe("Task 9: Full-Text Search", () => {
+  const token = `qz${Date.now().toString(36)}`;
+  let searchEntries = [];
+
+  beforeAll(async () => {
+    const texts = [
+      `${token} walked along the river, ${token} and more ${token}`,
+      `Rainy morning, I thought about ${token} once`,
+      "Quiet evening by the river with old friends",
+    ];
+
+    for (const text of texts) {
+      const id = await createEntry(text);
+      const { body } = await getEntry(id);
+      searchEntries.push(body);
+    }
+  });
+
+  afterAll(async () => {
+    await Promise.all(searchEntries.map((entry) => deleteEntry(entry.id)));
+  });
+
+  it("should find entries by a word regardless of case", async () => {
+    const { status, body } = await listEntries(`?q=${token.toUpperCase()}`);
+
+    expect(status, "Search should return 200 OK").toBe(200);
+    expect(Array.isArray(body), "Response should be an array").toBe(true);
+    expect(
+      body.map((e) => e.id).sort(),
+      "Search should match both entries containing the word"
+    ).toEqual([searchEntries[0].id, searchEntries[1].id].sort());
+  });
+
+  it("should match whole words only", async () => {
+    const { status, body } = await listEntries(`?q=${token.slice(0, -1)}`);
+
+    expect(status, "Partial word search should return 200 OK").toBe(200);
+    expect(
+      body.filter((e) => searchEntries.some((s) => s.id === e.id)),
+      "A word prefix should not match entries"
+    ).toEqual([]);
+  });
+
+  it("should rank entries by relevance with a numeric score", async () => {
+    const { status, body } = await listEntries(`?q=${token}`);
+
+    expect(status, "Search should return 200 OK").toBe(200);
+    expect(body[0].id, "Entry with more matches should rank first").toBe(
+      searchEntries[0].id
+    );
+
+    body.forEach((entry, i) => {
+      expect(typeof entry.score, "Each result should have a score").toBe(
+        "number"
+      );
+      if (i > 0) {
+        expect(
+          entry.score,
+          "Results should be ordered by descending score"
+        ).toBeLessThanOrEqual(body[i - 1].score);
+      }
+    });
+  });
+
+  it("should support quoted phrase queries", async () => {
+    const phrase = encodeURIComponent('"walked along the river"');
+    const { status, body } = await listEntries(`?q=${phrase}`);
+
+    expect(status, "Phrase search should return 200 OK").toBe(200);
+    expect(
+      body.map((e) => e.id),
+      "Phrase search should match only the exact phrase"
+    ).toContain(searchEntries[0].id);
+    expect(
+      body.map((e) => e.id),
+      "Phrase search should not match scattered words"
+    ).not.toContain(searchEntries[2].id);
+
+    const { body: reversed } = await listEntries(
+      `?q=${encodeURIComponent('"river walked"')}`
+    );
+    expect(
+      reversed.map((e) => e.id),
+      "Words out of phrase order should not match"
+    ).not.toContain(searchEntries[0].id);
+  });
+
+  it("should include highlighted snippets in results", async () => {
+    const { status, body } = await listEntries(`?q=${token}`);
+
+    expect(status, "Search should return 200 OK").toBe(200);
+
+    body.forEach((entry) => {
+      expect(typeof entry.snippet, "Each result should have a snippet").toBe(
+        "string"
+      );
+      expect(
+        entry.snippet.toLowerCase(),
+        "Snippet should highlight the matched word"
+      ).toContain(`<mark>${token}</mark>`);
+    });
+  });
+
+  it("should combine search with mood and date filters", async () => {
+    const targetMood = searchEntries[0].mood;
+    const now = new Date();
+    const yesterday = new Date(now);
+    yesterday.setDate(now.getDate() - 1);
+    const tomorrow = new Date(now);
+    tomorrow.setDate(now.getDate() + 1);
+
+    const { status, body } = await listEntries(
+      `?q=${token}&moods=${targetMood}&startDate=${fmt(
+        yesterday
+      )}&endDate=${fmt(tomorrow)}`
+    );
+
+    expect(status, "Combined search should return 200 OK").toBe(200);
+    expect(body.map((e) => e.id)).toContain(searchEntries[0].id);
+    body.forEach((entry) => {
+      expect(entry.mood, `All entries should have mood "${targetMood}"`).toBe(
+        targetMood
+      );
+    });
+
+    const { body: past } = await listEntries(
+      `?q=${token}&startDate=2000-01-01&endDate=2000-01-02`
+    );
+    expect(past, "Search outside the date range should be empty").toEqual([]);
+  });
+
+  it("should handle empty search parameter gracefully", async () => {
+    const { status, body } = await listEntries("?q=");
+
+    expect(status, "Empty q parameter should return 200 OK").toBe(200);
+    expect(Array.isArray(body), "Should return array for empty q").toBe(true);
+  });
+});
+
+describe("Task 10: Multi-Label Mood Extraction", () => {
+  let mixedEntry;
+
+  beforeAll(async () => {
+    const id = await createEntry(
+      "Happy about the promotion but anxious and scared about tomorrow"
+    );
+    ({ body: mixedEntry } = await getEntry(id));
+  });
+
+  afterAll(async () => {
+    await deleteEntry(mixedEntry.id);
+  });
+
+  it("should include a ranked list of emotions with confidence scores", async () => {
+    expect(
+      Array.isArray(mixedEntry.emotions),
+      "Entry should have an emotions array"
+    ).toBe(true);
+    expect(
+      mixedEntry.emotions.length,
+      "Mixed text should yield more than one emotion"
+    ).toBeGreaterThanOrEqual(2);
+
+    mixedEntry.emotions.forEach((emotion, i) => {
+      expect(typeof emotion.label, "Emotion label should be a string").toBe(
+        "string"
+      );
+      expect(
+        emotion.confidence >= 0 && emotion.confidence <= 1,
+        `Confidence for "${emotion.label}" should be between 0 and 1`
+      ).toBe(true);
+      if (i > 0) {
+        expect(
+          emotion.confidence,
+          "Emotions should be ordered by descending confidence"
+        ).toBeLessThanOrEqual(mixedEntry.emotions[i - 1].confidence);
+      }
+    });
+  });
+
+  it("should keep the primary mood equal to the top-ranked emotion", async () => {
+    expect(typeof mixedEntry.mood, "Mood should still be a string").toBe(
+      "string"
+    );
+    expect(mixedEntry.mood, "Mood should be the top emotion label").toBe(
+      mixedEntry.emotions[0].label
+    );
+  });
+
+  it("should re-extract emotions when entry text is updated", async () => {
+    const id = await createEntry(
+      "Pure joy and happiness all day",
+      moodClassifier
+    );
+    const { body: before } = await getEntry(id);
+    await api
+      .put(`/api/entries/${id}`)
+      .set("X-Mood-Classifier", moodClassifier)
+      .send({ text: "Furious and angry after the meeting" });
+
+    const { status, body } = await getEntry(id);
+
+    expect(status, "Should retrieve updated entry").toBe(200);
+    expect(
+      body.emotions[0].label,
+      "Top emotion should change with the new text"
+    ).not.toBe(before.emotions[0].label);
+    expect(body.mood, "Mood should match the new top emotion").toBe(
+      body.emotions[0].label
+    );
+
+    await deleteEntry(id);
+  });
+
+  it("should match secondary emotions above a confidence threshold", async () => {
+    const secondary = mixedEntry.emotions[1];
+    const { status, body } = await listEntries(
+      `?moods=${secondary.label}&secondary=true&minConfidence=${secondary.confidence}`
+    );
+
+    expect(status, "Secondary mood filter should return 200 OK").toBe(200);
+    expect(
+      body.map((e) => e.id),
+      "Entry should match on its secondary emotion"
+    ).toContain(mixedEntry.id);
+
+    body.forEach((entry) => {
+      expect(
+        entry.emotions.some(
+          (e) =>
+            e.label === secondary.label && e.confidence >= secondary.confidence
+        ),
+        `Entry should carry "${secondary.label}" above the threshold`
+      ).toBe(true);
+    });
+  });
+
+  it("should exclude secondary emotions below the threshold or by default", async () => {
+    const secondary = mixedEntry.emotions[1];
+
+    const { body: primaryOnly } = await listEntries(
+      `?moods=${secondary.label}`
+    );
+    expect(
+      primaryOnly.map((e) => e.id),
+      "Default mood filter should match primary mood only"
+    ).not.toContain(mixedEntry.id);
+
+    if (secondary.confidence < 1) {
+      const threshold = Math.min(1, secondary.confidence + 0.01);
+      const { body: strict } = await listEntries(
+        `?moods=${secondary.label}&secondary=true&minConfidence=${threshold}`
+      );
+      expect(
+        strict.map((e) => e.id),
+        "Entry should not match when its confidence is below the threshold"
+      ).not.toContain(mixedEntry.id);
+    }
+  });
+
+  it("should return 400 for invalid confidence thresholds", async () => {
+    for (const value of ["abc", "1.5", "-0.1"]) {
+      const { status, body } = await listEntries(
+        `?moods=happy&secondary=true&minConfidence=${value}`
+      );
+
+      expect(
+        status,
+        `Should return 400 for invalid minConfidence: "${value}"`
+      ).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+});
+
+describe("Task 11: Pluggable Mood Classifiers", () => {
+  let classifierEntries = [];
+
+  async function classify(text, classifier) {
+    const id = await createEntry(text, classifier);
+    const { body } = await getEntry(id);
+    classifierEntries.push(body);
+    return body;
+  }
+
+  afterAll(async () => {
+    await Promise.all(classifierEntries.map((entry) => deleteEntry(entry.id)));
+  });
+
+  it("should list available classifier backends and the configured default", async () => {
+    const { status, body } = await api.get("/api/mood/classifiers");
+
+    expect(status, "GET /api/mood/classifiers should return 200 OK").toBe(200);
+    expect(Array.isArray(body.available), "Should list backends").toBe(true);
+
+    const names = body.available.map((c) => c.name);
+    expect(names, "Built-in lexicon backend should be listed").toContain(
+      "lexicon"
+    );
+    expect(names, "Built-in rules backend should be listed").toContain("rules");
+    expect(names, "Default backend should be one of the listed").toContain(
+      body.default
+    );
+  });
+
+  it("should use the configured default when no classifier is pinned", async () => {
+    const { body: config } = await api.get("/api/mood/classifiers");
+    const entry = await classify("Just an ordinary afternoon");
+
+    expect(entry.classifier, "Entry should use the default backend").toBe(
+      config.default
+    );
+  });
+
+  it("should extract moods with the offline lexicon classifier", async () => {
+    const entry = await classify("I am very happy today!", "lexicon");
+
+    expect(entry.classifier, "Entry should record lexicon backend").toBe(
+      "lexicon"
+    );
+    expect(typeof entry.mood, "Lexicon mood should be a string").toBe("string");
+    expect(
+      entry.mood.length,
+      "Lexicon mood should not be empty"
+    ).toBeGreaterThan(0);
+  });
+
+  it("should flip the mood when the rules classifier sees negation", async () => {
+    const plain = await classify("I am happy", "rules");
+    const negated = await classify("I am not happy", "rules");
+
+    expect(
+      negated.mood,
+      "Negated text should not share the plain text's mood"
+    ).not.toBe(plain.mood);
+  });
+
+  it("should raise confidence when the rules classifier sees an intensifier", async () => {
+    const plain = await classify("I am angry", "rules");
+    const intensified = await classify("I am extremely angry", "rules");
+
+    expect(intensified.mood, "Intensifier should keep the same mood").toBe(
+      plain.mood
+    );
+    expect(
+      intensified.emotions[0].confidence,
+      "Intensifier should increase confidence"
+    ).toBeGreaterThan(plain.emotions[0].confidence);
+  });
+
+  it("should apply the pinned classifier on update", async () => {
+    const entry = await classify("I am happy", "lexicon");
+    const { status } = await api
+      .put(`/api/entries/${entry.id}`)
+      .set("X-Mood-Classifier", "rules")
+      .send({ text: "I am not happy" });
+
+    expect(status, "Pinned update should return 200 OK").toBe(200);
+
+    const { body } = await getEntry(entry.id);
+    expect(body.classifier, "Update should record the pinned backend").toBe(
+      "rules"
+    );
+    expect(
+      body.mood,
+      "Update should re-run extraction on the negated text"
+    ).not.toBe(entry.mood);
+  });
+
+  it("should return 400 for an unknown classifier", async () => {
+    const { status, body } = await api
+      .post("/api/entries")
+      .set("X-Mood-Classifier", "does-not-exist")
+      .send({ text: "I am happy" });
+
+    expect(status, "Unknown classifier should return 400").toBe(400);
+    expect(body).toHaveProperty("error");
+  });
+});
+
+describe("Task 12: Mood Trends", () => {
+  let trendEntries = [];
+  let trendDates = {};
+
+  beforeAll(async () => {
+    const now = new Date();
+    trendDates.today = fmt(now);
+
+    const yesterday = new Date(now);
+    yesterday.setDate(now.getDate() - 1);
+    trendDates.yesterday = fmt(yesterday);
+
+    const tomorrow = new Date(now);
+    tomorrow.setDate(now.getDate() + 1);
+    trendDates.tomorrow = fmt(tomorrow);
+
+    for (const text of ["Happy trend entry", "Sad trend entry"]) {
+      const id = await createEntry(text);
+      const { body } = await getEntry(id);
+      trendEntries.push(body);
+    }
+  });
+
+  afterAll(async () => {
+    await Promise.all(trendEntries.map((entry) => deleteEntry(entry.id)));
+  });
+
+  it("should return daily buckets covering the requested range", async () => {
+    const { status, body } = await getMoodTrends(
+      `?interval=day&startDate=${trendDates.yesterday}&endDate=${trendDates.tomorrow}`
+    );
+
+    expect(status, "GET /api/mood/trends should return 200 OK").toBe(200);
+    expect(body.interval, "Response should echo the interval").toBe("day");
+    expect(
+      body.buckets.map((b) => b.start),
+      "Should return one bucket per day in range"
+    ).toEqual([trendDates.yesterday, trendDates.today, trendDates.tomorrow]);
+
+    const todayBucket = body.buckets[1];
+    trendEntries.forEach((entry) => {
+      expect(
+        todayBucket.counts[entry.mood],
+        `Today's bucket should count mood "${entry.mood}"`
+      ).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  it("should zero-fill buckets for periods with no entries", async () => {
+    const { status, body } = await getMoodTrends(
+      `?interval=day&startDate=${trendDates.today}&endDate=${trendDates.tomorrow}`
+    );
+
+    expect(status, "Trends should return 200 OK").toBe(200);
+    expect(body.buckets.length, "Should still return every day").toBe(2);
+
+    const emptyBucket = body.buckets[1];
+    expect(emptyBucket.start, "Second bucket should be tomorrow").toBe(
+      trendDates.tomorrow
+    );
+    trendEntries.forEach((entry) => {
+      expect(
+        emptyBucket.counts[entry.mood],
+        `Empty day should carry mood "${entry.mood}" with a zero count`
+      ).toBe(0);
+    });
+  });
+
+  it("should use the same mood keys in every bucket", async () => {
+    const { body } = await getMoodTrends(
+      `?interval=day&startDate=${trendDates.yesterday}&endDate=${trendDates.tomorrow}`
+    );
+    const keys = Object.keys(body.buckets[1].counts).sort();
+
+    body.buckets.forEach((bucket) => {
+      expect(
+        Object.keys(bucket.counts).sort(),
+        `Bucket ${bucket.start} should list every mood in range`
+      ).toEqual(keys);
+    });
+  });
+
+  it("should agree with the mood summary for the same range", async () => {
+    const range = `startDate=${trendDates.yesterday}&endDate=${trendDates.tomorrow}`;
+    const { body: trends } = await getMoodTrends(`?interval=day&${range}`);
+    const { body: summary } = await getMoodSummary(`?${range}`);
+
+    const totals = {};
+    trends.buckets.forEach((bucket) => {
+      Object.entries(bucket.counts).forEach(([mood, count]) => {
+        totals[mood] = (totals[mood] || 0) + count;
+      });
+    });
+    Object.keys(totals).forEach((mood) => {
+      if (totals[mood] === 0) delete totals[mood];
+    });
+
+    expect(totals, "Summed trend buckets should match the summary").toEqual(
+      summary
+    );
+  });
+
+  it("should align weekly buckets to ISO weeks starting on Monday", async () => {
+    const { status, body } = await getMoodTrends(
+      "?interval=week&startDate=2024-01-01&endDate=2024-01-31"
+    );
+
+    expect(status, "Weekly trends should return 200 OK").toBe(200);
+    expect(
+      body.buckets.map((b) => b.start),
+      "Weekly buckets should start each Monday"
+    ).toEqual([
+      "2024-01-01",
+      "2024-01-08",
+      "2024-01-15",
+      "2024-01-22",
+      "2024-01-29",
+    ]);
+  });
+
+  it("should return monthly buckets starting on the first of each month", async () => {
+    const { status, body } = await getMoodTrends(
+      "?interval=month&startDate=2024-01-15&endDate=2024-03-10"
+    );
+
+    expect(status, "Monthly trends should return 200 OK").toBe(200);
+    expect(
+      body.buckets.map((b) => b.start),
+      "Monthly buckets should start on the first of the month"
+    ).toEqual(["2024-01-01", "2024-02-01", "2024-03-01"]);
+  });
+
+  it("should return 400 for missing or unsupported interval", async () => {
+    for (const query of ["", "?interval=hour", "?interval="]) {
+      const { status, body } = await getMoodTrends(query);
+
+      expect(status, `Should return 400 for query: "${query}"`).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should return 400 for invalid date format in mood trends", async () => {
+    const invalidDates = ["invalid-date", "2023-13-45", "not-a-date"];
+
+    for (const invalidDate of invalidDates) {
+      const { status, body } = await getMoodTrends(
+        `?interval=day&startDate=${invalidDate}`
+      );
+
+      expect(
+        status,
+        `Mood trends should return 400 for invalid date: "${invalidDate}"`
+      ).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+});
+
+describe("Task 13: Timezone-Aware Date Filtering", () => {
+  const eastZone = "Pacific/Kiritimati";
+  const westZone = "Etc/GMT+12";
+  let tzEntry;
+  let eastDate;
+
+  beforeAll(async () => {
+    const id = await createEntry("Late evening entry for timezone test");
+    ({ body: tzEntry } = await getEntry(id));
+    eastDate = fmtInZone(new Date(tzEntry.createdAt), eastZone);
+  });
+
+  afterAll(async () => {
+    await deleteEntry(tzEntry.id);
+  });
+
+  it("should include an entry on its local calendar day in the given zone", async () => {
+    const { status, body } = await listEntries(
+      `?tz=${eastZone}&startDate=${eastDate}&endDate=${eastDate}`
+    );
+
+    expect(status, "Timezone filtering should return 200 OK").toBe(200);
+    expect(
+      body.map((e) => e.id),
+      "Entry should fall on its local day with inclusive end date"
+    ).toContain(tzEntry.id);
+  });
+
+  it("should exclude an entry whose local day differs in another zone", async () => {
+    const { status, body } = await listEntries(
+      `?tz=${encodeURIComponent(
+        westZone
+      )}&startDate=${eastDate}&endDate=${eastDate}`
+    );
+
+    expect(status, "Timezone filtering should return 200 OK").toBe(200);
+    expect(
+      body.map((e) => e.id),
+      "Entry should not fall on that day in a zone 26 hours behind"
+    ).not.toContain(tzEntry.id);
+  });
+
+  it("should compute mood summary day boundaries in the given zone", async () => {
+    const { status, body } = await getMoodSummary(
+      `?tz=${eastZone}&startDate=${eastDate}&endDate=${eastDate}`
+    );
+
+    expect(status, "Timezone mood summary should return 200 OK").toBe(200);
+    expect(
+      body[tzEntry.mood],
+      `Summary should count mood "${tzEntry.mood}" on its local day`
+    ).toBeGreaterThanOrEqual(1);
+
+    const { body: west } = await getMoodSummary(
+      `?tz=${encodeURIComponent(
+        westZone
+      )}&startDate=${eastDate}&endDate=${eastDate}`
+    );
+    expect(west, "That day has not started yet in the western zone").toEqual(
+      {}
+    );
+  });
+
+  it("should bucket mood trends by local day in the given zone", async () => {
+    const { status, body } = await getMoodTrends(
+      `?interval=day&tz=${eastZone}&startDate=${eastDate}&endDate=${eastDate}`
+    );
+
+    expect(status, "Timezone mood trends should return 200 OK").toBe(200);
+    expect(body.buckets[0].start, "Bucket should start on the local day").toBe(
+      eastDate
+    );
+    expect(
+      body.buckets[0].counts[tzEntry.mood],
+      "Local day bucket should count the entry"
+    ).toBeGreaterThanOrEqual(1);
+  });
+
+  it("should fall back to the user's default timezone when tz is omitted", async () => {
+    const eastUser = await newUserApi({ timezone: eastZone });
+    const westUser = await newUserApi({ timezone: westZone });
+
+    const { body: east } = await eastUser
+      .post("/api/entries")
+      .send({ text: "Entry written in the east" });
+    const { body: west } = await westUser
+      .post("/api/entries")
+      .send({ text: "Entry written in the west" });
+    const { body: eastCreated } = await eastUser.get(`/api/entries/${east.id}`);
+    const localDay = fmtInZone(new Date(eastCreated.createdAt), eastZone);
+    const range = `startDate=${localDay}&endDate=${localDay}`;
+
+    const { body: eastList } = await eastUser.get(`/api/entries?${range}`);
+    expect(
+      eastList.map((e) => e.id),
+      "Entry should fall on its day in the user's default zone"
+    ).toContain(east.id);
+
+    const { body: westList } = await westUser.get(`/api/entries?${range}`);
+    expect(
+      westList.map((e) => e.id),
+      "Western user's entry should not fall on the eastern day"
+    ).not.toContain(west.id);
+
+    const { body: overridden } = await westUser.get(
+      `/api/entries?tz=${eastZone}&${range}`
+    );
+    expect(
+      overridden.map((e) => e.id),
+      "Explicit tz should override the user's default zone"
+    ).toContain(west.id);
+  });
+
+  it("should return 400 for an unknown timezone", async () => {
+    for (const get of [listEntries, getMoodSummary]) {
+      const { status, body } = await get("?tz=Mars/Olympus_Mons");
+
+      expect(status, "Unknown IANA zone should return 400").toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+});
+
+describe("Task 14: User Accounts and Authentication", () => {
+  let otherApi;
+  let ownEntryId;
+
+  beforeAll(async () => {
+    otherApi = await newUserApi();
+    ownEntryId = await createEntry("Private entry owned by the main user");
+  });
+
+  afterAll(async () => {
+    await deleteEntry(ownEntryId);
+  });
+
+  it("should register a new user without exposing the password", async () => {
+    const username = uniqueUsername();
+    const { status, body } = await registerUser(username);
+
+    expect(status, "Registration should return 201 Created").toBe(201);
+    expect(body).toHaveProperty("id");
+    expect(body.username, "Should echo the username").toBe(username);
+    expect(body, "Should not return the password").not.toHaveProperty(
+      "password"
+    );
+    expect(body, "Should not return the password hash").not.toHaveProperty(
+      "passwordHash"
+    );
+  });
+
+  it("should reject invalid or duplicate registrations", async () => {
+    const username = uniqueUsername();
+    await registerUser(username);
+
+    const { status: dupStatus, body: dupBody } = await registerUser(username);
+    expect(dupStatus, "Duplicate username should return 409").toBe(409);
+    expect(dupBody).toHaveProperty("error");
+
+    for (const payload of [
+      {},
+      { username: "" },
+      { username: uniqueUsername(), password: "short" },
+      { username: uniqueUsername(), timezone: "Mars/Olympus_Mons" },
+    ]) {
+      const { status, body } = await http
+        .post("/api/auth/register")
+        .send({ password: testPassword, ...payload });
+
+      expect(
+        status,
+        `Should return 400 for registration: ${JSON.stringify(payload)}`
+      ).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should issue a bearer token on login", async () => {
+    const username = uniqueUsername();
+    await registerUser(username);
+
+    const { status, body } = await login(username);
+
+    expect(status, "Login should return 200 OK").toBe(200);
+    expect(typeof body.token, "Token should be a string").toBe("string");
+    expect(body.token.length, "Token should not be empty").toBeGreaterThan(0);
+  });
+
+  it("should return 401 for wrong password or unknown user", async () => {
+    const username = uniqueUsername();
+    await registerUser(username);
+
+    for (const [user, password] of [
+      [username, "wrong-password"],
+      [uniqueUsername(), testPassword],
+    ]) {
+      const { status, body } = await login(user, password);
+
+      expect(status, "Bad credentials should return 401").toBe(401);
+      expect(body).toHaveProperty("error");
+      expect(body, "Should not issue a token").not.toHaveProperty("token");
+    }
+  });
+
+  it("should return 401 on protected routes without a valid token", async () => {
+    const routes = [
+      () => http.get("/api/entries"),
+      () => http.post("/api/entries").send({ text: "Anonymous entry" }),
+      () => http.get(`/api/entries/${ownEntryId}`),
+      () => http.get("/api/mood/summary"),
+      () => http.get("/api/mood/trends?interval=day"),
+      () => http.get("/api/entries").set("Authorization", "Bearer not-a-token"),
+    ];
+
+    for (const route of routes) {
+      const { status, body } = await route();
+
+      expect(status, "Protected route should return 401").toBe(401);
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should keep the health check public", async () => {
+    const { status } = await http.get("/api/health");
+
+    expect(status, "Health endpoint should not require auth").toBe(200);
+  });
+
+  it("should return 404 for another user's entry", async () => {
+    const { status: getStatus } = await otherApi.get(
+      `/api/entries/${ownEntryId}`
+    );
+    const { status: putStatus } = await otherApi
+      .put(`/api/entries/${ownEntryId}`)
+      .send({ text: "Trying to overwrite" });
+    const { status: deleteStatus } = await otherApi.delete(
+      `/api/entries/${ownEntryId}`
+    );
+
+    expect(getStatus, "GET of another user's entry should be 404").toBe(404);
+    expect(putStatus, "PUT of another user's entry should be 404").toBe(404);
+    expect(deleteStatus, "DELETE of another user's entry should be 404").toBe(
+      404
+    );
+
+    const { status, body } = await getEntry(ownEntryId);
+    expect(status, "Owner should still see the entry").toBe(200);
+    expect(body.text, "Entry should be unchanged").toBe(
+      "Private entry owned by the main user"
+    );
+  });
+
+  it("should scope listings and mood summaries to the owner", async () => {
+    const { body: list } = await otherApi.get("/api/entries");
+    const { body: summary } = await otherApi.get("/api/mood/summary");
+
+    expect(list, "New user should see no entries").toEqual([]);
+    expect(summary, "New user should have an empty summary").toEqual({});
+  });
+});
+
+describe("Task 15: Entry Revision History", () => {
+  const originalText = "I am very happy today!";
+  const revisedTexts = ["Feeling sad and lonely", "So angry about everything"];
+  let revisionEntryId;
+
+  beforeAll(async () => {
+    revisionEntryId = await createEntry(originalText);
+  });
+
+  afterAll(async () => {
+    await deleteEntry(revisionEntryId);
+  });
+
+  it("should record the original text as the first revision", async () => {
+    const { status, body } = await getRevisions(revisionEntryId);
+
+    expect(status, "GET revisions should return 200 OK").toBe(200);
+    expect(Array.isArray(body), "Revisions should be an array").toBe(true);
+    expect(body.length, "New entry should have one revision").toBe(1);
+    expect(body[0].rev, "First revision number should be 1").toBe(1);
+    expect(body[0].text, "First revision should hold original text").toBe(
+      originalText
+    );
+    expect(typeof body[0].mood, "Revision mood should be a string").toBe(
+      "string"
+    );
+    expect(typeof body[0].createdAt, "Revision should be timestamped").toBe(
+      "string"
+    );
+  });
+
+  it("should keep a revision with its mood for every update", async () => {
+    for (const text of revisedTexts) {
+      await updateEntry(revisionEntryId, text);
+    }
+
+    const { status, body } = await getRevisions(revisionEntryId);
+
+    expect(status, "GET revisions should return 200 OK").toBe(200);
+    expect(
+      body.map((r) => r.text),
+      "Revisions should list every version oldest first"
+    ).toEqual([originalText, ...revisedTexts]);
+    expect(
+      body.map((r) => r.rev),
+      "Revision numbers should increase by one"
+    ).toEqual([1, 2, 3]);
+
+    const { body: current } = await getEntry(revisionEntryId);
+    expect(
+      body[body.length - 1].mood,
+      "Latest revision mood should match the entry"
+    ).toBe(current.mood);
+  });
+
+  it("should restore an older revision as a new version", async () => {
+    const { body: before } = await getRevisions(revisionEntryId);
+    const { status, body } = await restoreRevision(revisionEntryId, 1);
+
+    expect(status, "Restore should return 200 OK").toBe(200);
+    expect(body, "Restore should return entry ID").toEqual({
+      id: revisionEntryId,
+    });
+
+    const { body: entry } = await getEntry(revisionEntryId);
+    expect(entry.text, "Entry text should be restored").toBe(originalText);
+    expect(entry.mood, "Entry mood should be restored").toBe(before[0].mood);
+    expect(entry).toHaveProperty("updatedAt");
+
+    const { body: after } = await getRevisions(revisionEntryId);
+    expect(after.length, "Restore should add a revision").toBe(
+      before.length + 1
+    );
+    expect(
+      after[after.length - 1].text,
+      "Newest revision should be the restored text"
+    ).toBe(originalText);
+  });
+
+  it("should return 400 for invalid UUID or revision number", async () => {
+    const { status: listStatus } = await getRevisions("not-a-uuid");
+    expect(listStatus, "Invalid UUID should return 400").toBe(400);
+
+    for (const rev of ["abc", "0", "-1"]) {
+      const { status, body } = await restoreRevision(revisionEntryId, rev);
+
+      expect(status, `Should return 400 for invalid revision: "${rev}"`).toBe(
+        400
+      );
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should return 404 for non-existent entry or revision", async () => {
+    const nonExistentId = "00000000-0000-0000-0000-000000000000";
+
+    const { status: listStatus } = await getRevisions(nonExistentId);
+    expect(listStatus, "Revisions of missing entry should be 404").toBe(404);
+
+    const { status, body } = await restoreRevision(revisionEntryId, 999);
+    expect(status, "Missing revision should return 404").toBe(404);
+    expect(body).toHaveProperty("error");
+  });
+
+  it("should not expose revisions of another user's entry", async () => {
+    const otherApi = await newUserApi();
+
+    const { status } = await otherApi.get(
+      `/api/entries/${revisionEntryId}/revisions`
+    );
+    const { status: restoreStatus } = await otherApi.post(
+      `/api/entries/${revisionEntryId}/revisions/1/restore`
+    );
+
+    expect(status, "Other user's revisions should be 404").toBe(404);
+    expect(restoreStatus, "Other user's restore should be 404").toBe(404);
+  });
+});
+
+describe("Task 16: Trash and Undo Delete", () => {
+  const retentionDays = Number(process.env.TRASH_RETENTION_DAYS || 30);
+  let trashedEntry;
+
+  beforeAll(async () => {
+    const id = await createEntry("Entry that will be moved to the trash");
+    ({ body: trashedEntry } = await getEntry(id));
+  });
+
+  afterAll(async () => {
+    await deleteEntry(trashedEntry.id);
+  });
+
+  it("should move deleted entries to the trash", async () => {
+    const { status } = await deleteEntry(trashedEntry.id);
+    expect(status, "DELETE should still return 204").toBe(204);
+
+    const { status: trashStatus, body } = await listTrash();
+    expect(trashStatus, "GET /api/trash should return 200 OK").toBe(200);
+    expect(Array.isArray(body), "Trash should be an array").toBe(true);
+
+    const item = body.find((e) => e.id === trashedEntry.id);
+    expect(item, "Deleted entry should be in the trash").toBeDefined();
+    expect(item.text, "Trashed entry should keep its text").toBe(
+      trashedEntry.text
+    );
+    expect(typeof item.deletedAt, "Trashed entry should have deletedAt").toBe(
+      "string"
+    );
+    expect(
+      new Date(item.purgeAt) - new Date(item.deletedAt),
+      `Purge time should be ${retentionDays} days after deletion`
+    ).toBe(retentionDays * 24 * 60 * 60 * 1000);
+  });
+
+  it("should keep trashed entries out of listings and lookups", async () => {
+    const { status } = await getEntry(trashedEntry.id);
+    expect(status, "Trashed entry should return 404").toBe(404);
+
+    const { status: putStatus } = await updateEntry(
+      trashedEntry.id,
+      "Editing a trashed entry"
+    );
+    expect(putStatus, "Updating a trashed entry should return 404").toBe(404);
+
+    const { body } = await listEntries();
+    expect(
+      body.map((e) => e.id),
+      "Trashed entry should not be listed"
+    ).not.toContain(trashedEntry.id);
+  });
+
+  it("should exclude trashed entries from mood summaries", async () => {
+    const id = await createEntry("Another entry headed for the trash");
+    const { body: entry } = await getEntry(id);
+    const { body: before } = await getMoodSummary();
+
+    await deleteEntry(id);
+    const { body: after } = await getMoodSummary();
+
+    expect(
+      after[entry.mood] || 0,
+      `Summary should drop the trashed "${entry.mood}" entry`
+    ).toBe(before[entry.mood] - 1);
+
+    await restoreFromTrash(id);
+    await deleteEntry(id);
+  });
+
+  it("should restore a trashed entry", async () => {
+    const { status, body } = await restoreFromTrash(trashedEntry.id);
+
+    expect(status, "Restore should return 200 OK").toBe(200);
+    expect(body, "Restore should return entry ID").toEqual({
+      id: trashedEntry.id,
+    });
+
+    const { status: getStatus, body: entry } = await getEntry(trashedEntry.id);
+    expect(getStatus, "Restored entry should be found").toBe(200);
+    expect(entry.text, "Restored entry should keep its text").toBe(
+      trashedEntry.text
+    );
+    expect(entry.mood, "Restored entry should keep its mood").toBe(
+      trashedEntry.mood
+    );
+
+    const { body: trash } = await listTrash();
+    expect(
+      trash.map((e) => e.id),
+      "Restored entry should leave the trash"
+    ).not.toContain(trashedEntry.id);
+  });
+
+  it("should return 400 or 404 for invalid restore targets", async () => {
+    const { status: invalidStatus } = await restoreFromTrash("not-a-uuid");
+    expect(invalidStatus, "Invalid UUID should return 400").toBe(400);
+
+    for (const id of [
+      "00000000-0000-0000-0000-000000000000",
+      trashedEntry.id,
+    ]) {
+      const { status, body } = await restoreFromTrash(id);
+
+      expect(status, `Restoring non-trashed "${id}" should return 404`).toBe(
+        404
+      );
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should scope the trash to its owner", async () => {
+    const id = await createEntry("Trashed entry of the main user");
+    await deleteEntry(id);
+
+    const otherApi = await newUserApi();
+    const { body } = await otherApi.get("/api/trash");
+    const { status } = await otherApi.post(`/api/trash/${id}/restore`);
+
+    expect(body, "Other user's trash should be empty").toEqual([]);
+    expect(status, "Other user should not restore the entry").toBe(404);
+  });
+});
+
+describe("Task 17: Journal Export", () => {
+  const quotedText = 'He said "hi", then left';
+  let exportEntriesList = [];
+
+  beforeAll(async () => {
+    for (const text of ["Export test: a happy day", quotedText]) {
+      const id = await createEntry(text);
+      const { body } = await getEntry(id);
+      exportEntriesList.push(body);
+    }
+  });
+
+  afterAll(async () => {
+    await Promise.all(exportEntriesList.map((entry) => deleteEntry(entry.id)));
+  });
+
+  it("should export entries as a JSON attachment", async () => {
+    const { status, headers, body } = await exportEntries("?format=json");
+
+    expect(status, "JSON export should return 200 OK").toBe(200);
+    expect(headers["content-type"]).toMatch(/application\/json/);
+    expect(headers["content-disposition"]).toMatch(/attachment/);
+    expect(Array.isArray(body), "JSON export should be an array").toBe(true);
+
+    const entry = body.find((e) => e.id === exportEntriesList[0].id);
+    expect(entry, "Export should include created entry").toBeDefined();
+    expect(
+      Object.keys(entry).sort(),
+      "Exported entry should have exactly the documented fields"
+    ).toEqual(["createdAt", "id", "mood", "text", "updatedAt"]);
+  });
+
+  it("should export entries as CSV with a header row and escaped fields", async () => {
+    const { status, headers, text } = await exportEntries("?format=csv");
+
+    expect(status, "CSV export should return 200 OK").toBe(200);
+    expect(headers["content-type"]).toMatch(/text\/csv/);
+    expect(headers["content-disposition"]).toMatch(/attachment/);
+
+    const lines = text.trim().split(/\r?\n/);
+    expect(lines[0], "CSV should start with a header row").toBe(
+      "id,text,mood,createdAt,updatedAt"
+    );
+    expect(text, "Quotes and commas should be escaped").toContain(
+      '"He said ""hi"", then left"'
+    );
+  });
+
+  it("should export entries as Markdown grouped by day", async () => {
+    const { status, headers, text } = await exportEntries("?format=markdown");
+
+    expect(status, "Markdown export should return 200 OK").toBe(200);
+    expect(headers["content-type"]).toMatch(/text\/markdown/);
+
+    const entry = exportEntriesList[0];
+    const day = entry.createdAt.split("T")[0];
+    const heading = text.indexOf(`## ${day}`);
+    expect(
+      heading,
+      `Markdown should have a heading for ${day}`
+    ).toBeGreaterThan(-1);
+    expect(
+      text.indexOf(entry.text, heading),
+      "Entry should appear under its day heading"
+    ).toBeGreaterThan(heading);
+    expect(
+      text.match(new RegExp(`^## ${day}$`, "gm")).length,
+      "Each day should have a single heading"
+    ).toBe(1);
+  });
+
+  it("should respect mood and date filters", async () => {
+    const targetMood = exportEntriesList[0].mood;
+    const { status, body } = await exportEntries(
+      `?format=json&moods=${targetMood}`
+    );
+
+    expect(status, "Filtered export should return 200 OK").toBe(200);
+    expect(body.map((e) => e.id)).toContain(exportEntriesList[0].id);
+    body.forEach((entry) => {
+      expect(entry.mood, `All entries should have mood "${targetMood}"`).toBe(
+        targetMood
+      );
+    });
+
+    const { body: past } = await exportEntries(
+      "?format=json&startDate=2000-01-01&endDate=2000-01-02"
+    );
+    expect(past, "Export outside the date range should be empty").toEqual([]);
+
+    const { text: pastCsv } = await exportEntries(
+      "?format=csv&startDate=2000-01-01&endDate=2000-01-02"
+    );
+    expect(pastCsv.trim(), "Empty CSV export should be header only").toBe(
+      "id,text,mood,createdAt,updatedAt"
+    );
+  });
+
+  it("should return 400 for missing or unsupported format and invalid dates", async () => {
+    for (const query of [
+      "",
+      "?format=xml",
+      "?format=json&startDate=invalid-date",
+    ]) {
+      const { status, body } = await exportEntries(query);
+
+      expect(status, `Should return 400 for query: "${query}"`).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should require authentication and export only the owner's entries", async () => {
+    const { status } = await http.get("/api/export?format=json");
+    expect(status, "Export without token should return 401").toBe(401);
+
+    const otherApi = await newUserApi();
+    const { body } = await otherApi.get("/api/export?format=json");
+    expect(body, "New user's export should be empty").toEqual([]);
+  });
+});
+
+describe("Task 18: Bulk Import", () => {
+  const runId = Date.now().toString(36);
+  const importRows = [
+    {
+      text: `Imported: a happy spring day (${runId})`,
+      createdAt: "2019-03-01T08:30:00.000Z",
+    },
+    {
+      text: `Imported: sad and rainy (${runId})`,
+      createdAt: "2019-03-02T21:15:00.000Z",
+    },
+  ];
+
+  afterAll(async () => {
+    const { body: imported } = await listEntries(
+      "?startDate=2019-01-01&endDate=2019-12-31"
+    );
+    await Promise.all(imported.map((entry) => deleteEntry(entry.id)));
+  });
+
+  it("should import JSON entries preserving original timestamps", async () => {
+    const { status, body } = await importEntries({ entries: importRows });
+
+    expect(status, "POST /api/import should return 200 OK").toBe(200);
+    expect(body.imported, "Should import every valid row").toBe(2);
+    expect(body.skipped, "Nothing should be skipped on first import").toBe(0);
+    expect(body.errors, "Should report no errors").toEqual([]);
+
+    const { body: entries } = await listEntries(
+      "?startDate=2019-03-01&endDate=2019-03-02&sort=createdAt&limit=10"
+    );
+    expect(
+      entries.items.map((e) => [e.text, e.createdAt]),
+      "Imported entries should keep text and createdAt"
+    ).toEqual(importRows.map((r) => [r.text, r.createdAt]));
+    entries.items.forEach((entry) => {
+      expect(typeof entry.mood, "Imported entry should have a mood").toBe(
+        "string"
+      );
+    });
+  });
+
+  it("should be idempotent when the same file is uploaded twice", async () => {
+    const { status, body } = await importEntries({ entries: importRows });
+
+    expect(status, "Repeated import should return 200 OK").toBe(200);
+    expect(body.imported, "Nothing new should be imported").toBe(0);
+    expect(body.skipped, "Duplicate rows should be skipped").toBe(2);
+
+    const { body: entries } = await listEntries(
+      "?startDate=2019-03-01&endDate=2019-03-02"
+    );
+    expect(entries.length, "No duplicate entries should be created").toBe(2);
+  });
+
+  it("should report per-row errors in dry-run mode without writing", async () => {
+    const { status, body } = await importEntries(
+      {
+        entries: [
+          { text: "   ", createdAt: "2019-04-01T10:00:00.000Z" },
+          { text: "Bad timestamp row", createdAt: "not-a-date" },
+          { text: "Valid dry-run row", createdAt: "2019-04-01T11:00:00.000Z" },
+        ],
+      },
+      "?dryRun=true"
+    );
+
+    expect(status, "Dry run should return 200 OK").toBe(200);
+    expect(body.dryRun, "Response should flag the dry run").toBe(true);
+    expect(body.imported, "Dry run should count importable rows").toBe(1);
+    expect(
+      body.errors.map((e) => e.row),
+      "Errors should be per row"
+    ).toEqual([1, 2]);
+    expect(body.errors[0].error, "Should reuse text validation message").toBe(
+      "Text must not be empty"
+    );
+    expect(typeof body.errors[1].error, "Should explain bad timestamp").toBe(
+      "string"
+    );
+
+    const { body: entries } = await listEntries(
+      "?startDate=2019-04-01&endDate=2019-04-01"
+    );
+    expect(entries, "Dry run should not write entries").toEqual([]);
+  });
+
+  it("should import valid rows and report invalid ones", async () => {
+    const { status, body } = await importEntries({
+      entries: [
+        { text: "", createdAt: "2019-05-01T10:00:00.000Z" },
+        {
+          text: `Valid partial import (${runId})`,
+          createdAt: "2019-05-01T11:00:00.000Z",
+        },
+      ],
+    });
+
+    expect(status, "Partial import should return 200 OK").toBe(200);
+    expect(body.imported, "Valid row should be imported").toBe(1);
+    expect(body.errors, "Invalid row should be reported").toEqual([
+      {
+        row: 1,
+        error: "Text must not be empty",
+        code: "TEXT_EMPTY",
+        field: "text",
+      },
+    ]);
+  });
+
+  it("should import CSV with a header row and quoted fields", async () => {
+    const csv = [
+      "text,createdAt",
+      `"Imported from CSV, with a comma (${runId})",2019-06-01T09:00:00.000Z`,
+      `Another CSV row (${runId}),2019-06-02T09:00:00.000Z`,
+    ].join("\n");
+
+    const { status, body } = await importCsv(csv);
+
+    expect(status, "CSV import should return 200 OK").toBe(200);
+    expect(body.imported, "Should import both CSV rows").toBe(2);
+
+    const { body: entries } = await listEntries(
+      "?startDate=2019-06-01&endDate=2019-06-02"
+    );
+    expect(
+      entries.map((e) => e.text).sort(),
+      "CSV text should be unquoted"
+    ).toEqual([
+      `Another CSV row (${runId})`,
+      `Imported from CSV, with a comma (${runId})`,
+    ]);
+  });
+
+  it("should return 400 for malformed or unsupported payloads", async () => {
+    const payloads = [
+      () => importEntries({}),
+      () => importEntries({ entries: "not-a-list" }),
+      () => importCsv("createdAt\n2019-06-01T09:00:00.000Z"),
+      () =>
+        api
+          .post("/api/import")
+          .set("Content-Type", "application/xml")
+          .send("<entries />"),
+    ];
+
+    for (const send of payloads) {
+      const { status, body } = await send();
+
+      expect(status, "Malformed import should return 400").toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should require authentication", async () => {
+    const { status } = await http
+      .post("/api/import")
+      .send({ entries: importRows });
+
+    expect(status, "Import without token should return 401").toBe(401);
+  });
+});
+
+describe("Task 19: Tags", () => {
+  let taggedEntries = [];
+
+  async function tagged(text, tags) {
+    const id = await createTaggedEntry(text, tags);
+    const { body } = await getEntry(id);
+    taggedEntries.push(body);
+    return body;
+  }
+
+  afterAll(async () => {
+    await Promise.all(taggedEntries.map((entry) => deleteEntry(entry.id)));
+  });
+
+  it("should store user-defined tags normalized to lowercase", async () => {
+    const entry = await tagged("Long day at the office", [
+      "Work",
+      "work",
+      "Meetings",
+    ]);
+
+    expect(Array.isArray(entry.tags), "Entry should have a tags array").toBe(
+      true
+    );
+    expect(
+      [...entry.tags].sort(),
+      "Tags should be lowercased and deduplicated"
+    ).toEqual(["meetings", "work"]);
+  });
+
+  it("should extract inline hashtags from the text", async () => {
+    const text = "Slept badly again #sleep #Work";
+    const entry = await tagged(text);
+
+    expect(entry.text, "Text should be stored unchanged").toBe(text);
+    expect([...entry.tags].sort(), "Hashtags should become tags").toEqual([
+      "sleep",
+      "work",
+    ]);
+  });
+
+  it("should replace tags on update and re-extract hashtags", async () => {
+    const entry = await tagged("Morning run #exercise", ["health"]);
+    const { status } = await api
+      .put(`/api/entries/${entry.id}`)
+      .send({ text: "Evening swim #swimming", tags: ["fitness"] });
+
+    expect(status, "PUT with tags should return 200 OK").toBe(200);
+
+    const { body } = await getEntry(entry.id);
+    expect(
+      [...body.tags].sort(),
+      "Tags should reflect the new tags and hashtags"
+    ).toEqual(["fitness", "swimming"]);
+  });
+
+  it("should return 400 for invalid tags", async () => {
+    for (const tags of ["work", [""], [42], ["has space"]]) {
+      const { status, body } = await api
+        .post("/api/entries")
+        .send({ text: "Entry with bad tags", tags });
+
+      expect(
+        status,
+        `Should return 400 for tags: ${JSON.stringify(tags)}`
+      ).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should filter entries by tags combined with moods", async () => {
+    const entry = await tagged("Happy about the deploy #work");
+
+    const { status, body } = await listEntries("?tags=work");
+    expect(status, "Tag filtering should return 200 OK").toBe(200);
+    expect(body.map((e) => e.id)).toContain(entry.id);
+    body.forEach((e) => {
+      expect(e.tags, "All entries should carry the work tag").toContain("work");
+    });
+
+    const { body: combined } = await listEntries(
+      `?tags=work,sleep&moods=${entry.mood}`
+    );
+    expect(combined.map((e) => e.id)).toContain(entry.id);
+    combined.forEach((e) => {
+      expect(e.mood, `All entries should have mood "${entry.mood}"`).toBe(
+        entry.mood
+      );
+      expect(
+        e.tags.some((t) => t === "work" || t === "sleep"),
+        "Entries should carry one of the requested tags"
+      ).toBe(true);
+    });
+
+    const { body: none } = await listEntries("?tags=nonexistenttag");
+    expect(none, "Unknown tag should return empty array").toEqual([]);
+  });
+
+  it("should list tags with usage counts", async () => {
+    const tagUser = await newUserApi();
+    for (const text of [
+      "Gym #health",
+      "Doctor visit #health #work",
+      "Desk #work",
+    ]) {
+      await tagUser.post("/api/entries").send({ text });
+    }
+    await tagUser
+      .post("/api/entries")
+      .send({ text: "Team lunch", tags: ["work"] });
+
+    const { status, body } = await tagUser.get("/api/tags");
+
+    expect(status, "GET /api/tags should return 200 OK").toBe(200);
+    expect(body, "Tags should be ordered by usage count").toEqual([
+      { tag: "work", count: 3 },
+      { tag: "health", count: 2 },
+    ]);
+  });
+});
+
+describe("Task 20: Mood Breakdown by Tag and Keyword", () => {
+  let breakdownApi;
+  let breakdownEntries = [];
+
+  beforeAll(async () => {
+    breakdownApi = await newUserApi();
+    const texts = [
+      "Sad about the deadline again #work",
+      "Deadline stress makes me sad #work",
+      "Happy weekend hike in the mountains #outdoors",
+    ];
+
+    for (const text of texts) {
+      const { body: created } = await breakdownApi
+        .post("/api/entries")
+        .send({ text });
+      const { body } = await breakdownApi.get(`/api/entries/${created.id}`);
+      breakdownEntries.push(body);
+    }
+  });
+
+  it("should cross-tabulate moods against tags", async () => {
+    const { status, body } = await getMoodBreakdown(breakdownApi);
+
+    expect(status, "GET /api/mood/breakdown should return 200 OK").toBe(200);
+
+    const expected = {};
+    breakdownEntries.forEach((entry) => {
+      entry.tags.forEach((tag) => {
+        expected[tag] = expected[tag] || {};
+        expected[tag][entry.mood] = (expected[tag][entry.mood] || 0) + 1;
+      });
+    });
+    expect(body.tags, "Tag breakdown should count moods per tag").toEqual(
+      expected
+    );
+  });
+
+  it("should return top contributing terms per mood without stopwords", async () => {
+    const { status, body } = await getMoodBreakdown(breakdownApi);
+
+    expect(status, "Mood breakdown should return 200 OK").toBe(200);
+
+    const mood = breakdownEntries[0].mood;
+    const deadlineCount = breakdownEntries.filter(
+      (e) => e.mood === mood && /deadline/i.test(e.text)
+    ).length;
+    const terms = body.terms[mood];
+
+    expect(Array.isArray(terms), `Terms for "${mood}" should be an array`).toBe(
+      true
+    );
+    expect(
+      terms.find((t) => t.term === "deadline"),
+      "Frequent keyword should be counted case-insensitively"
+    ).toEqual({ term: "deadline", count: deadlineCount });
+    expect(
+      terms.map((t) => t.term),
+      "Stopwords should be excluded"
+    ).not.toContain("the");
+
+    for (let i = 1; i < terms.length; i++) {
+      expect(
+        terms[i].count,
+        "Terms should be ordered by descending count"
+      ).toBeLessThanOrEqual(terms[i - 1].count);
+    }
+  });
+
+  it("should limit the number of terms per mood", async () => {
+    const { status, body } = await getMoodBreakdown(breakdownApi, "?top=1");
+
+    expect(status, "Limited breakdown should return 200 OK").toBe(200);
+    Object.values(body.terms).forEach((terms) => {
+      expect(
+        terms.length,
+        "Should return at most one term"
+      ).toBeLessThanOrEqual(1);
+    });
+  });
+
+  it("should return empty breakdown for past date range with no entries", async () => {
+    const { status, body } = await getMoodBreakdown(
+      breakdownApi,
+      "?startDate=2000-01-01&endDate=2000-01-02"
+    );
+
+    expect(status, "Past range breakdown should return 200 OK").toBe(200);
+    expect(body, "Should return empty breakdown").toEqual({
+      tags: {},
+      terms: {},
+    });
+  });
+
+  it("should return 400 for invalid date format or top value", async () => {
+    for (const query of [
+      "?startDate=invalid-date",
+      "?startDate=2023-13-45",
+      "?endDate=not-a-date",
+      "?top=0",
+      "?top=abc",
+    ]) {
+      const { status, body } = await getMoodBreakdown(breakdownApi, query);
+
+      expect(status, `Should return 400 for query: "${query}"`).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+});
+
+describe("Task 21: Webhooks", () => {
+  const received = [];
+  let failuresLeft = 0;
+  let receiver;
+  let receiverUrl;
+  let subscription;
+
+  const waitFor = async (predicate, timeout = 20000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const match = received.find(predicate);
+      if (match) return match;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    return undefined;
+  };
+
+  const isEvent = (r, event, id) =>
+    r.body !== null && r.body.event === event && r.body.data.id === id;
+
+  const sign = (secret, raw) =>
+    `sha256=${crypto.createHmac("sha256", secret).update(raw).digest("hex")}`;
+
+  beforeAll(async () => {
+    receiver = createServer((req, res) => {
+      let raw = "";
+      req.on("data", (chunk) => (raw += chunk));
+      req.on("end", () => {
+        let body = null;
+        try {
+          body = JSON.parse(raw);
+        } catch (err) {
+          // Keep non-JSON deliveries (pings, verification) as raw only.
+        }
+        received.push({
+          url: req.url,
+          at: Date.now(),
+          headers: req.headers,
+          raw,
+          body,
+        });
+        if (failuresLeft > 0) {
+          failuresLeft -= 1;
+          res.writeHead(500).end();
+          return;
+        }
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "0.0.0.0", resolve));
+    const host = process.env.WEBHOOK_HOST || os.hostname();
+    receiverUrl = `http://${host}:${receiver.address().port}/hook`;
+
+    ({ body: subscription } = await api.post("/api/webhooks").send({
+      url: receiverUrl,
+      events: [
+        "entry.created",
+        "entry.updated",
+        "entry.deleted",
+        "mood.shifted",
+      ],
+    }));
+  });
+
+  afterAll(async () => {
+    await api.delete(`/api/webhooks/${subscription.id}`);
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  it("should register a subscription and return its signing secret", async () => {
+    expect(subscription).toHaveProperty("id");
+    expect(subscription.url, "Should echo the receiver URL").toBe(receiverUrl);
+    expect(typeof subscription.secret, "Should return a secret").toBe("string");
+
+    const { status, body } = await api.get("/api/webhooks");
+    expect(status, "GET /api/webhooks should return 200 OK").toBe(200);
+    expect(body.map((w) => w.id)).toContain(subscription.id);
+  });
+
+  it("should return 400 for invalid subscriptions", async () => {
+    for (const payload of [
+      { url: "not-a-url", events: ["entry.created"] },
+      { url: receiverUrl, events: [] },
+      { url: receiverUrl, events: ["entry.exploded"] },
+    ]) {
+      const { status, body } = await api.post("/api/webhooks").send(payload);
+
+      expect(
+        status,
+        `Should return 400 for subscription: ${JSON.stringify(payload)}`
+      ).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should deliver HMAC-signed entry.created events", async () => {
+    const id = await createEntry("Webhook test: created entry");
+    const delivery = await waitFor((r) => isEvent(r, "entry.created", id));
+
+    expect(delivery, "entry.created should be delivered").toBeDefined();
+    expect(
+      delivery.headers["x-webhook-signature"],
+      "Payload should be signed with the subscription secret"
+    ).toBe(sign(subscription.secret, delivery.raw));
+    expect(delivery.headers["x-webhook-event"]).toBe("entry.created");
+    expect(typeof delivery.body.data.mood, "Payload should include mood").toBe(
+      "string"
+    );
+
+    await deleteEntry(id);
+  });
+
+  it("should deliver entry.updated, entry.deleted and mood.shifted events", async () => {
+    const id = await createEntry("I am very happy today!", moodClassifier);
+    const { body: before } = await getEntry(id);
+    await api
+      .put(`/api/entries/${id}`)
+      .set("X-Mood-Classifier", moodClassifier)
+      .send({ text: "Feeling sad and lonely" });
+    const { body: after } = await getEntry(id);
+    await deleteEntry(id);
+
+    expect(after.mood, "Pinned classifier should change the mood").not.toBe(
+      before.mood
+    );
+
+    const updated = await waitFor((r) => isEvent(r, "entry.updated", id));
+    const deleted = await waitFor((r) => isEvent(r, "entry.deleted", id));
+    const shifted = await waitFor((r) => isEvent(r, "mood.shifted", id));
+    expect(updated, "entry.updated should be delivered").toBeDefined();
+    expect(deleted, "entry.deleted should be delivered").toBeDefined();
+    expect(shifted, "mood.shifted should be delivered").toBeDefined();
+    expect(shifted.body.data, "Should describe the shift").toMatchObject({
+      from: before.mood,
+      to: after.mood,
+    });
+  });
+
+  it("should retry failed deliveries with backoff and log attempts", async () => {
+    failuresLeft = 2;
+    const id = await createEntry("Webhook test: retried entry");
+
+    const attempts = () =>
+      received.filter((r) => isEvent(r, "entry.created", id));
+    const deadline = Date.now() + 20000;
+    while (attempts().length < 3 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    const tries = attempts();
+
+    expect(tries.length, "Delivery should be attempted three times").toBe(3);
+    expect(
+      new Set(tries.map((r) => r.headers["x-webhook-delivery"])).size,
+      "Retries should reuse the delivery id"
+    ).toBe(1);
+    expect(
+      tries[2].at - tries[1].at,
+      "Backoff should grow between retries"
+    ).toBeGreaterThan(tries[1].at - tries[0].at);
+
+    const { status, body } = await api.get(
+      `/api/webhooks/${subscription.id}/deliveries`
+    );
+    expect(status, "Delivery log should return 200 OK").toBe(200);
+
+    const logged = body.find(
+      (d) => d.id === tries[0].headers["x-webhook-delivery"]
+    );
+    expect(logged, "Delivery should appear in the log").toMatchObject({
+      event: "entry.created",
+      status: "delivered",
+      attempts: 3,
+      responseStatus: 204,
+    });
+
+    await deleteEntry(id);
+  });
+
+  it("should only deliver subscribed events to each subscription", async () => {
+    const { body: deletesOnly } = await api.post("/api/webhooks").send({
+      url: `${receiverUrl}?deletes-only`,
+      events: ["entry.deleted"],
+    });
+    const id = await createEntry("Webhook test: filtered entry");
+    await deleteEntry(id);
+
+    const delivery = await waitFor(
+      (r) => r.url === "/hook?deletes-only" && isEvent(r, "entry.deleted", id)
+    );
+    expect(delivery, "Subscribed event should be delivered").toBeDefined();
+
+    const { body } = await api.get(
+      `/api/webhooks/${deletesOnly.id}/deliveries`
+    );
+    expect(
+      body.map((d) => d.event),
+      "Only the subscribed event should be delivered"
+    ).toEqual(["entry.deleted"]);
+
+    const { status } = await api.delete(`/api/webhooks/${deletesOnly.id}`);
+    expect(status, "Deleting a subscription should return 204").toBe(204);
+  });
+});
+
+describe("Task 22: Negative Mood Alerts", () => {
+  let alertApi;
+  const negativeText = "Feeling very sad and depressed today";
+  const positiveText = "I am so joyful and happy!";
+  let negativeMood;
+  let rule;
+
+  const importDays = (rows) =>
+    alertApi.post("/api/import").send({
+      entries: rows.map(([day, text], i) => ({
+        text: `${text} (${i})`,
+        createdAt: `${day}T12:00:00.000Z`,
+      })),
+    });
+
+  const negativeMoods = ["sad", "angry", "fearful"];
+  const daysAgo = (n) => fmt(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+
+  const startStreak = async (pastDays) => {
+    const writer = await newUserApi();
+    const { body: streakRule } = await writer
+      .post("/api/alerts/rules")
+      .send({ type: "negativeStreak", days: 3, moods: negativeMoods });
+    await writer
+      .post("/api/import")
+      .set("X-Mood-Classifier", moodClassifier)
+      .send({
+        entries: pastDays.map(([n, text]) => ({
+          text,
+          createdAt: `${daysAgo(n)}T12:00:00.000Z`,
+        })),
+      });
+    return { writer, streakRule };
+  };
+
+  const writeToday = (writer, text) =>
+    writer
+      .post("/api/entries")
+      .set("X-Mood-Classifier", moodClassifier)
+      .send({ text });
+
+  beforeAll(async () => {
+    alertApi = await newUserApi();
+
+    const { body: probe } = await alertApi
+      .post("/api/entries")
+      .send({ text: negativeText });
+    ({
+      body: { mood: negativeMood },
+    } = await alertApi.get(`/api/entries/${probe.id}`));
+    await alertApi.delete(`/api/entries/${probe.id}`);
+
+    ({ body: rule } = await alertApi.post("/api/alerts/rules").send({
+      type: "negativeStreak",
+      days: 3,
+      moods: [negativeMood],
+    }));
+  });
+
+  it("should create an alert rule", async () => {
+    expect(rule).toHaveProperty("id");
+    expect(rule, "Rule should echo its configuration").toMatchObject({
+      type: "negativeStreak",
+      days: 3,
+      moods: [negativeMood],
+    });
+  });
+
+  it("should return 400 for invalid alert rules", async () => {
+    for (const payload of [
+      { type: "negativeStreak", days: 0, moods: ["sad"] },
+      { type: "negativeStreak", days: 3, moods: [] },
+      { type: "unknownRule", days: 3, moods: ["sad"] },
+    ]) {
+      const { status, body } = await alertApi
+        .post("/api/alerts/rules")
+        .send(payload);
+
+      expect(
+        status,
+        `Should return 400 for rule: ${JSON.stringify(payload)}`
+      ).toBe(400);
+      expect(body).toHaveProperty("error");
+    }
+  });
+
+  it("should not alert when the negative streak is too short", async () => {
+    await importDays([
+      ["2018-01-01", negativeText],
+      ["2018-01-02", negativeText],
+      ["2018-01-03", positiveText],
+      ["2018-01-04", negativeText],
+    ]);
+
+    const { status, body } = await alertApi.get("/api/alerts");
+
+    expect(status, "GET /api/alerts should return 200 OK").toBe(200);
+    expect(body, "Broken streaks should not trigger alerts").toEqual([]);
+  });
+
+  it("should alert on consecutive days with a majority negative mood", async () => {
+    await importDays([
+      ["2018-02-01", negativeText],
+      ["2018-02-02", negativeText],
+      ["2018-02-03", negativeText],
+      ["2018-02-03", negativeText],
+      ["2018-02-03", positiveText],
+    ]);
+
+    const { status, body } = await alertApi.get("/api/alerts");
+
+    expect(status, "GET /api/alerts should return 200 OK").toBe(200);
+    expect(body.length, "One alert should be triggered").toBe(1);
+    expect(body[0], "Alert should describe the streak").toMatchObject({
+      ruleId: rule.id,
+      startDate: "2018-02-01",
+      endDate: "2018-02-03",
+      acknowledged: false,
+    });
+    expect(typeof body[0].triggeredAt, "Alert should be timestamped").toBe(
+      "string"
+    );
+  });
+
+  it("should not raise a duplicate alert for the same streak", async () => {
+    await importDays([["2018-02-02", `${negativeText} again`]]);
+
+    const { body } = await alertApi.get("/api/alerts");
+
+    expect(body.length, "Streak should still have a single alert").toBe(1);
+  });
+
+  it("should alert when POST completes a streak of mixed negative moods", async () => {
+    const { writer, streakRule } = await startStreak([
+      [2, "Feeling very sad and depressed today"],
+      [1, "This makes me extremely angry"],
+    ]);
+    expect(streakRule.moods, "Rule should keep every negative mood").toEqual(
+      negativeMoods
+    );
+
+    const { body: before } = await writer.get("/api/alerts");
+    expect(before, "Two negative days should not alert").toEqual([]);
+
+    await writeToday(writer, "I am scared and fearful");
+
+    const { body: after } = await writer.get("/api/alerts");
+    expect(after, "POST should trigger rule evaluation").toHaveLength(1);
+    expect(after[0], "Alert should span the mixed streak").toMatchObject({
+      ruleId: streakRule.id,
+      startDate: daysAgo(2),
+      endDate: daysAgo(0),
+    });
+  });
+
+  it("should alert when PUT turns a positive day negative", async () => {
+    const { writer, streakRule } = await startStreak([
+      [2, "Feeling very sad and depressed today"],
+      [1, "I am so joyful and happy!"],
+    ]);
+    await writeToday(writer, "I am scared and fearful");
+
+    const { body: before } = await writer.get("/api/alerts");
+    expect(before, "A positive day should break the streak").toEqual([]);
+
+    const { body: yesterday } = await writer.get(
+      `/api/entries?startDate=${daysAgo(1)}&endDate=${daysAgo(1)}`
+    );
+    await writer
+      .put(`/api/entries/${yesterday[0].id}`)
+      .set("X-Mood-Classifier", moodClassifier)
+      .send({ text: "This makes me extremely angry" });
+
+    const { body: after } = await writer.get("/api/alerts");
+    expect(after, "PUT should trigger rule evaluation").toHaveLength(1);
+    expect(after[0].ruleId, "Alert should come from the rule").toBe(
+      streakRule.id
+    );
+  });
+
+  it("should acknowledge an alert", async () => {
+    const { body: alerts } = await alertApi.get("/api/alerts");
+    const { status, body } = await alertApi.post(
+      `/api/alerts/${alerts[0].id}/acknowledge`
+    );
+
+    expect(status, "Acknowledge should return 200 OK").toBe(200);
+    expect(body, "Alert should be marked acknowledged").toMatchObject({
+      id: alerts[0].id,
+      acknowledged: true,
+    });
+
+    const { body: open } = await alertApi.get("/api/alerts?acknowledged=false");
+    expect(open, "Acknowledged alert should leave the open list").toEqual([]);
+  });
+
+  it("should return 400 or 404 for invalid acknowledge targets", async () => {
+    const { status: invalidStatus } = await alertApi.post(
+      "/api/alerts/not-a-uuid/acknowledge"
+    );
+    const { status: missingStatus, body } = await alertApi.post(
+      "/api/alerts/00000000-0000-0000-0000-000000000000/acknowledge"
+    );
+
+    expect(invalidStatus, "Invalid UUID should return 400").toBe(400);
+    expect(missingStatus, "Unknown alert should return 404").toBe(404);
+    expect(body).toHaveProperty("error");
+  });
+});
+
+describe("Task 23: Encryption at Rest", () => {
+  let cryptoApi;
+  const secretText = "I am very happy today! My secret plans are safe";
+  let secretEntry;
+
+  beforeAll(async () => {
+    cryptoApi = await newUserApi();
+  });
+
+  it("should report encryption as disabled by default", async () => {
+    const { status, body } = await cryptoApi.get("/api/encryption");
+
+    expect(status, "GET /api/encryption should return 200 OK").toBe(200);
+    expect(body, "Encryption should start disabled").toEqual({
+      enabled: false,
+      keyVersion: null,
+    });
+  });
+
+  it("should return 409 when rotating keys before enabling encryption", async () => {
+    const { status, body } = await cryptoApi.post("/api/encryption/rotate");
+
+    expect(status, "Rotation without encryption should return 409").toBe(409);
+    expect(body).toHaveProperty("error");
+  });
+
+  it("should enable encryption and still return plain text to the owner", async () => {
+    const { status, body } = await cryptoApi.post("/api/encryption/enable");
+    expect(status, "Enabling encryption should return 200 OK").toBe(200);
+    expect(body, "Encryption should start at key version 1").toEqual({
+      enabled: true,
+      keyVersion: 1,
+    });
+
+    const { body: created } = await cryptoApi
+      .post("/api/entries")
+      .send({ text: secretText });
+    ({ body: secretEntry } = await cryptoApi.get(`/api/entries/${created.id}`));
+
+    expect(secretEntry.text, "Owner should read decrypted text").toBe(
+      secretText
+    );
+    expect(typeof secretEntry.mood, "Mood should be extracted at write").toBe(
+      "string"
+    );
+    expect(secretEntry.mood.length, "Mood should not be empty").toBeGreaterThan(
+      0
+    );
+  });
+
+  it("should keep mood filters and summaries working on encrypted entries", async () => {
+    const { body: list } = await cryptoApi.get(
+      `/api/entries?moods=${secretEntry.mood}`
+    );
+    const { body: summary } = await cryptoApi.get("/api/mood/summary");
+
+    expect(
+      list.map((e) => e.id),
+      "Mood filter should match"
+    ).toContain(secretEntry.id);
+    expect(
+      summary[secretEntry.mood],
+      "Summary should count encrypted entries"
+    ).toBeGreaterThanOrEqual(1);
+  });
+
+  it("should rotate keys and re-encrypt existing entries", async () => {
+    const { status, body } = await cryptoApi.post("/api/encryption/rotate");
+
+    expect(status, "Key rotation should return 200 OK").toBe(200);
+    expect(body.keyVersion, "Key version should increase").toBe(2);
+    expect(body.reencrypted, "Existing entries should be re-encrypted").toBe(1);
+
+    const { body: entry } = await cryptoApi.get(
+      `/api/entries/${secretEntry.id}`
+    );
+    expect(entry.text, "Text should still decrypt after rotation").toBe(
+      secretText
+    );
+
+    const { status: putStatus } = await cryptoApi
+      .put(`/api/entries/${secretEntry.id}`)
+      .send({ text: "Updated after rotation" });
+    const { body: updated } = await cryptoApi.get(
+      `/api/entries/${secretEntry.id}`
+    );
+    expect(putStatus, "Update after rotation should return 200 OK").toBe(200);
+    expect(updated.text, "Updated text should decrypt").toBe(
+      "Updated after rotation"
+    );
+  });
+
+  it("should not affect users without encryption enabled", async () => {
+    const { body } = await api.get("/api/encryption");
+
+    expect(body.enabled, "Other users should stay unencrypted").toBe(false);
+  });
+});
+
+describe("Task 24: Rate Limits and Size Limits", () => {
+  let floodApi;
+
+  beforeAll(async () => {
+    floodApi = await newUserApi();
+  });
+
+  it("should accept text at the configured maximum length", async () => {
+    const { status } = await api
+      .post("/api/entries")
+      .send({ text: "A".repeat(maxTextLength) });
+
+    expect(status, "Text at the limit should be accepted").toBe(201);
+  });
+
+  it("should return 413 for text over the configured maximum length", async () => {
+    const text = "A".repeat(maxTextLength + 1);
+    const { status, body } = await api.post("/api/entries").send({ text });
+
+    expect(status, "Oversized text should return 413").toBe(413);
+    expect(body, "Should use the standard error shape").toEqual({
+      error: `Text must not exceed ${maxTextLength} characters`,
+      code: "TEXT_TOO_LONG",
+      field: "text",
+    });
+
+    const id = await createEntry("Entry to grow past the limit");
+    const { status: putStatus, body: putBody } = await updateEntry(id, text);
+    expect(putStatus, "Oversized update should return 413").toBe(413);
+    expect(putBody).toHaveProperty("error");
+    await deleteEntry(id);
+  });
+
+  it("should return 413 with JSON error for oversized request bodies", async () => {
+    const { status, headers, body } = await api
+      .post("/api/entries")
+      .send({ text: "ok", padding: "x".repeat(5 * 1024 * 1024) });
+
+    expect(status, "Oversized body should return 413").toBe(413);
+    expect(headers["content-type"]).toMatch(/application\/json/);
+    expect(body, "Oversized body should carry a code").toMatchObject({
+      code: "PAYLOAD_TOO_LARGE",
+      field: null,
+    });
+    expect(typeof body.error, "Error should be a message string").toBe(
+      "string"
+    );
+  });
+
+  it("should advertise the configured per-client rate limit", async () => {
+    const { headers } = await api.get("/api/entries?limit=1");
+
+    expect(
+      Number(headers["x-ratelimit-limit"]),
+      "Responses should advertise the configured limit"
+    ).toBe(rateLimitMax);
+    expect(
+      Number(headers["x-ratelimit-remaining"]),
+      "Shared session should stay under the limit"
+    ).toBeGreaterThan(0);
+  });
+
+  it("should return 429 with Retry-After once a client exceeds its rate limit", async () => {
+    const send = () =>
+      floodApi.post("/api/entries").send({ text: "Flooding entry" });
+
+    for (let sent = 1; sent <= rateLimitMax; sent++) {
+      const res = await send();
+      expect(
+        res.status,
+        `Request ${sent} of ${rateLimitMax} should be within the limit`
+      ).toBe(201);
+      expect(
+        Number(res.headers["x-ratelimit-remaining"]),
+        "Remaining should count down by one per request"
+      ).toBe(rateLimitMax - sent);
+    }
+
+    const { status, headers, body } = await send();
+    expect(status, "Request over the limit should return 429").toBe(429);
+    expect(body, "429 should carry a code").toMatchObject({
+      code: "RATE_LIMITED",
+      field: null,
+    });
+    expect(
+      Number(headers["retry-after"]),
+      "Retry-After should be a positive number of seconds"
+    ).toBeGreaterThan(0);
+    expect(typeof body.error, "Error should be a message string").toBe(
+      "string"
+    );
+  }, 120000);
+
+  it("should rate limit each client independently", async () => {
+    const { status, headers } = await api
+      .post("/api/entries")
+      .send({ text: "Another client is unaffected" });
+    const { status: floodStatus, headers: floodHeaders } = await floodApi
+      .post("/api/entries")
+      .send({ text: "Still flooding" });
+
+    expect(status, "Other clients should not be throttled").toBe(201);
+    expect(floodStatus, "Flooding client should still be throttled").toBe(429);
+    expect(
+      Number(headers["x-ratelimit-remaining"]),
+      "Clients should have separate remaining budgets"
+    ).toBeGreaterThan(Number(floodHeaders["x-ratelimit-remaining"] || 0));
+  });
+});
+
+describe("Task 25: Machine-Readable Error Model", () => {
+  const missingId = "00000000-0000-0000-0000-000000000000";
+  let errorEntryId;
+
+  const routeErrors = [
+    ["POST", "/api/entries", { text: "   " }, 400, "TEXT_EMPTY", "text"],
+    ["PUT", "/api/entries/:id", { text: "" }, 400, "TEXT_EMPTY", "text"],
+    ["GET", "/api/entries/not-a-uuid", null, 400, "INVALID_UUID", "id"],
+    ["PUT", "/api/entries/123", { text: "ok" }, 400, "INVALID_UUID", "id"],
+    ["DELETE", "/api/entries/invalid-format", null, 400, "INVALID_UUID", "id"],
+    ["GET", `/api/entries/${missingId}`, null, 404, "ENTRY_NOT_FOUND", "id"],
+    [
+      "PUT",
+      `/api/entries/${missingId}`,
+      { text: "ok" },
+      404,
+      "ENTRY_NOT_FOUND",
+      "id",
+    ],
+    ["DELETE", `/api/entries/${missingId}`, null, 404, "ENTRY_NOT_FOUND", "id"],
+    [
+      "GET",
+      "/api/entries?startDate=2023-13-45",
+      null,
+      400,
+      "INVALID_DATE",
+      "startDate",
+    ],
+    [
+      "GET",
+      "/api/entries?endDate=not-a-date",
+      null,
+      400,
+      "INVALID_DATE",
+      "endDate",
+    ],
+    [
+      "GET",
+      "/api/mood/summary?startDate=invalid-date",
+      null,
+      400,
+      "INVALID_DATE",
+      "startDate",
+    ],
+    [
+      "GET",
+      "/api/mood/summary?endDate=20230101",
+      null,
+      400,
+      "INVALID_DATE",
+      "endDate",
+    ],
+  ];
+
+  beforeAll(async () => {
+    errorEntryId = await createEntry("Entry for error model tests");
+  });
+
+  afterAll(async () => {
+    await deleteEntry(errorEntryId);
+  });
+
+  it("should return a coded error for every documented route failure", async () => {
+    for (const [
+      method,
+      path,
+      payload,
+      expectedStatus,
+      code,
+      field,
+    ] of routeErrors) {
+      const req = api[method.toLowerCase()](path.replace(":id", errorEntryId));
+      const { status, body } = await (payload ? req.send(payload) : req);
+
+      expect(status, `${method} ${path} should return ${expectedStatus}`).toBe(
+        expectedStatus
+      );
+      expect(body.code, `${method} ${path} should carry code ${code}`).toBe(
+        code
+      );
+      expect(body.field, `${method} ${path} should name field ${field}`).toBe(
+        field
+      );
+      expect(typeof body.error, "Error should carry a human message").toBe(
+        "string"
+      );
+      expect(body.error.length, "Message should not be empty").toBeGreaterThan(
+        0
+      );
+    }
+  });
+
+  it("should report the first offending field when several are invalid", async () => {
+    const { status, body } = await listEntries(
+      "?moods=&startDate=invalid&endDate=invalid"
+    );
+
+    expect(status, "Should return 400 for invalid date parameters").toBe(400);
+    expect(body, "Should point at the first invalid field").toMatchObject({
+      code: "INVALID_DATE",
+      field: "startDate",
+    });
+  });
+});
+
+describe("Task 26: OpenAPI Contract", () => {
+  let spec;
+  let ajv;
+
+  const pointer = (...segments) =>
+    segments
+      .map((seg) =>
+        encodeURIComponent(String(seg).replace(/~/g, "~0").replace(/\//g, "~1"))
+      )
+      .join("/");
+
+  const validatorFor = (method, path, status) =>
+    ajv.getSchema(
+      `openapi#/${pointer(
+        "paths",
+        path,
+        method,
+        "responses",
+        status,
+        "content",
+        "application/json",
+        "schema"
+      )}`
+    );
+
+  const expectConforms = (method, path, res) => {
+    const operation = spec.paths[path][method];
+    expect(
+      operation.responses,
+      `${method.toUpperCase()} ${path} should document status ${res.status}`
+    ).toHaveProperty(String(res.status));
+    if (res.status === 204) return;
+
+    const validate = validatorFor(method, path, res.status);
+    expect(
+      typeof validate,
+      `${method.toUpperCase()} ${path} ${res.status} should have a JSON schema`
+    ).toBe("function");
+    expect(
+      validate(res.body),
+      `${method.toUpperCase()} ${path} ${
+        res.status
+      } should match schema: ${ajv.errorsText(validate.errors)}`
+    ).toBe(true);
+  };
+
+  beforeAll(async () => {
+    ({ body: spec } = await http.get("/api/openapi.json"));
+    ajv = new Ajv({ strict: false, allErrors: true });
+    addFormats(ajv);
+    ajv.addSchema(spec, "openapi");
+  });
+
+  it("should serve an OpenAPI 3 document for the core routes", async () => {
+    const { status, headers, body } = await http.get("/api/openapi.json");
+
+    expect(status, "GET /api/openapi.json should return 200 OK").toBe(200);
+    expect(headers["content-type"]).toMatch(/application\/json/);
+    expect(body.openapi, "Document should be OpenAPI 3").toMatch(/^3\./);
+    expect(
+      Object.keys(body.paths),
+      "Document should describe the core routes"
+    ).toEqual(
+      expect.arrayContaining([
+        "/api/health",
+        "/api/entries",
+        "/api/entries/{id}",
+        "/api/mood/summary",
+      ])
+    );
+  });
+
+  it("should document request bodies and query parameters", async () => {
+    const create = spec.paths["/api/entries"].post;
+    const list = spec.paths["/api/entries"].get;
+
+    expect(
+      create.requestBody.content["application/json"].schema,
+      "POST /api/entries should document its body"
+    ).toBeDefined();
+    expect(
+      list.parameters.map((p) => p.name),
+      "GET /api/entries should document its filters"
+    ).toEqual(expect.arrayContaining(["moods", "startDate", "endDate"]));
+  });
+
+  it("should reject requests that violate the schema", async () => {
+    for (const payload of [{ text: 123 }, { text: ["array"] }]) {
+      const { status, body } = await api.post("/api/entries").send(payload);
+
+      expect(
+        status,
+        `Should return 400 for body: ${JSON.stringify(payload)}`
+      ).toBe(400);
+      expect(body.field, "Error should name the offending field").toBe("text");
+    }
+  });
+
+  it("should return responses that conform to the schema for every route", async () => {
+    const missingId = "00000000-0000-0000-0000-000000000000";
+
+    expectConforms("get", "/api/health", await http.get("/api/health"));
+
+    const created = await api
+      .post("/api/entries")
+      .send({ text: "Contract test entry" });
+    expectConforms("post", "/api/entries", created);
+    expectConforms(
+      "post",
+      "/api/entries",
+      await api.post("/api/entries").send({ text: "" })
+    );
+
+    const id = created.body.id;
+    expectConforms("get", "/api/entries", await listEntries());
+    expectConforms("get", "/api/entries", await listEntries("?limit=2"));
+    expectConforms(
+      "get",
+      "/api/entries",
+      await listEntries("?startDate=invalid-date")
+    );
+
+    expectConforms("get", "/api/entries/{id}", await getEntry(id));
+    expectConforms("get", "/api/entries/{id}", await getEntry("not-a-uuid"));
+    expectConforms("get", "/api/entries/{id}", await getEntry(missingId));
+    expectConforms(
+      "put",
+      "/api/entries/{id}",
+      await updateEntry(id, "Contract test entry, updated")
+    );
+    expectConforms("put", "/api/entries/{id}", await updateEntry(id, ""));
+    expectConforms("delete", "/api/entries/{id}", await deleteEntry(id));
+    expectConforms("delete", "/api/entries/{id}", await deleteEntry(missingId));
+
+    expectConforms("get", "/api/mood/summary", await getMoodSummary());
+    expectConforms(
+      "get",
+      "/api/mood/summary",
+      await getMoodSummary("?startDate=invalid-date")
+    );
+  });
+});
+
+describe("Task 27: Liveness, Readiness and Metrics", () => {
+  // Sums every series of a sample, so labelled counters are compared as totals.
+  const metricValue = (text, sample) => {
+    const series = new RegExp(`^${sample}(?:\\{.*\\})? (\\S+)`);
+    const values = text
+      .split("\n")
+      .map((l) => series.exec(l))
+      .filter(Boolean)
+      .map((m) => Number(m[1]));
+    return values.length ? values.reduce((a, b) => a + b, 0) : undefined;
+  };
+
+  it("should report liveness without checking dependencies", async () => {
+    const { status, body } = await http.get("/api/health/live");
+
+    expect(status, "Liveness endpoint should return 200 OK").toBe(200);
+    expect(body, "Liveness should return status OK").toEqual({ status: "OK" });
+  });
+
+  it("should report readiness with storage and classifier checks", async () => {
+    const { status, body } = await http.get("/api/health/ready");
+
+    expect(status, "Readiness endpoint should return 200 OK").toBe(200);
+    expect(body.status, "Ready app should report OK").toBe("OK");
+    expect(body.checks, "Readiness should check each dependency").toEqual({
+      storage: "OK",
+      classifier: "OK",
+    });
+  });
+
+  it("should keep the original health endpoint unchanged", async () => {
+    const { status, body } = await http.get("/api/health");
+
+    expect(status, "Health endpoint should return 200 OK").toBe(200);
+    expect(body, "Health endpoint should keep its shape").toEqual({
+      status: "OK",
+    });
+  });
+
+  it("should expose Prometheus metrics in text format", async () => {
+    const { status, headers, text } = await http.get("/metrics");
+
+    expect(status, "GET /metrics should return 200 OK").toBe(200);
+    expect(headers["content-type"]).toMatch(/text\/plain/);
+    expect(text, "Should declare the request latency histogram").toMatch(
+      /^# TYPE http_request_duration_seconds histogram$/m
+    );
+    expect(text, "Should declare the entry count gauge").toMatch(
+      /^# TYPE journal_entries gauge$/m
+    );
+    expect(text, "Should declare the mood extraction histogram").toMatch(
+      /^# TYPE mood_extraction_duration_seconds histogram$/m
+    );
+  });
+
+  it("should record request latencies per route and status", async () => {
+    await listEntries();
+    const { text } = await http.get("/metrics");
+
+    expect(
+      text,
+      "Latency histogram should be labelled by method, route and status"
+    ).toMatch(
+      /^http_request_duration_seconds_count\{(?=.*method="GET")(?=.*route="\/api\/entries")(?=.*status="200").*\} \d+/m
+    );
+  });
+
+  it("should update entry count and mood extraction timings on writes", async () => {
+    const { text: before } = await http.get("/metrics");
+    const id = await createEntry("Metrics test entry, happy and calm");
+    const { text: after } = await http.get("/metrics");
+
+    expect(
+      metricValue(after, "journal_entries"),
+      "Entry gauge should grow by one"
+    ).toBe(metricValue(before, "journal_entries") + 1);
+    expect(
+      metricValue(after, "mood_extraction_duration_seconds_count"),
+      "Mood extraction should be timed"
+    ).toBe(metricValue(before, "mood_extraction_duration_seconds_count") + 1);
+
+    await deleteEntry(id);
+  });
+});
+
+describe("Task 28: Batch Entry Operations", () => {
+  const missingId = "00000000-0000-0000-0000-000000000000";
+  let batchEntryIds = [];
+
+  beforeAll(async () => {
+    for (const text of ["Batch entry one", "Batch entry two"]) {
+      batchEntryIds.push(await createEntry(text));
+    }
+  });
+
+  afterAll(async () => {
+    await Promise.all(batchEntryIds.map((id) => deleteEntry(id)));
+  });
+
+  it("should apply create, update and delete operations with per-item status", async () => {
+    const [toUpdate, toDelete] = batchEntryIds;
+    const { status, body } = await runBatch([
+      { op: "create", text: "Created in a batch" },
+      { op: "update", id: toUpdate, text: "Updated in a batch" },
+      { op: "delete", id: toDelete },
+    ]);
+
+    expect(status, "Batch should return 200 OK").toBe(200);
+    expect(
+      body.results.map((r) => r.status),
+      "Each operation should report the single-route status"
+    ).toEqual([201, 200, 204]);
+    expect(body.results[1].body, "Update should return entry ID").toEqual({
+      id: toUpdate,
+    });
+
+    const createdId = body.results[0].body.id;
+    batchEntryIds.push(createdId);
+    const { body: created } = await getEntry(createdId);
+    const { body: updated } = await getEntry(toUpdate);
+    const { status: deletedStatus } = await getEntry(toDelete);
+
+    expect(created.text, "Created entry should exist").toBe(
+      "Created in a batch"
+    );
+    expect(typeof created.mood, "Created entry should have a mood").toBe(
+      "string"
+    );
+    expect(updated.text, "Updated entry should change").toBe(
+      "Updated in a batch"
+    );
+    expect(deletedStatus, "Deleted entry should not be found").toBe(404);
+  });
+
+  it("should validate each operation like the single routes", async () => {
+    const { status, body } = await runBatch([
+      { op: "create", text: "   " },
+      { op: "update", id: "not-a-uuid", text: "ok" },
+      { op: "delete", id: missingId },
+      { op: "create", text: "Valid entry among failures" },
+    ]);
+
+    expect(status, "Partially failing batch should return 200 OK").toBe(200);
+    expect(body.results[0], "Empty text should fail validation").toMatchObject({
+      status: 400,
+      body: {
+        error: "Text must not be empty",
+        code: "TEXT_EMPTY",
+        field: "text",
+      },
+    });
+    expect(body.results[1], "Invalid UUID should fail").toMatchObject({
+      status: 400,
+      body: { code: "INVALID_UUID", field: "id" },
+    });
+    expect(body.results[2], "Missing entry should be 404").toMatchObject({
+      status: 404,
+      body: { code: "ENTRY_NOT_FOUND", field: "id" },
+    });
+    expect(body.results[3].status, "Valid operation should still apply").toBe(
+      201
+    );
+    batchEntryIds.push(body.results[3].body.id);
+  });
+
+  it("should roll back every operation in transactional mode when one fails", async () => {
+    const [target] = batchEntryIds;
+    const { body: before } = await getEntry(target);
+
+    const { status, body } = await runBatch(
+      [
+        { op: "update", id: target, text: "Should be rolled back" },
+        { op: "create", text: "Should not be created" },
+        { op: "delete", id: missingId },
+      ],
+      { transactional: true }
+    );
+
+    expect(status, "Aborted transaction should return 400").toBe(400);
+    expect(body, "Should explain the abort").toMatchObject({
+      code: "BATCH_ABORTED",
+      field: "operations",
+    });
+    expect(body.results[2].status, "Failing operation should be reported").toBe(
+      404
+    );
+
+    const { body: after } = await getEntry(target);
+    expect(after.text, "Update should be rolled back").toBe(before.text);
+
+    const { body: search } = await listEntries(
+      `?q=${encodeURIComponent('"Should not be created"')}`
+    );
+    expect(search, "Create should be rolled back").toEqual([]);
+  });
+
+  it("should apply every operation in transactional mode when all succeed", async () => {
+    const [target] = batchEntryIds;
+    const { status, body } = await runBatch(
+      [
+        { op: "update", id: target, text: "Transactional update" },
+        { op: "create", text: "Transactional create" },
+      ],
+      { transactional: true }
+    );
+
+    expect(status, "Committed transaction should return 200 OK").toBe(200);
+    expect(body.results.map((r) => r.status)).toEqual([200, 201]);
+    batchEntryIds.push(body.results[1].body.id);
+
+    const { body: updated } = await getEntry(target);
+    expect(updated.text, "Update should be applied").toBe(
+      "Transactional update"
+    );
+  });
+
+  it("should return 400 for malformed batches", async () => {
+    const tooMany = Array.from({ length: 501 }, (_, i) => ({
+      op: "create",
+      text: `Oversized batch ${i}`,
+    }));
+
+    for (const payload of [
+      {},
+      { operations: "not-a-list" },
+      { operations: [] },
+      { operations: [{ op: "explode", id: missingId }] },
+      { operations: tooMany },
+    ]) {
+      const { status, body } = await api
+        .post("/api/entries/batch")
+        .send(payload);
+
+      expect(status, "Malformed batch should return 400").toBe(400);
+      expect(body.field, "Error should point at operations").toBe("operations");
+    }
+  });
+});
+
+describe("Task 29: Optimistic Concurrency and Sync Feed", () => {
+  let syncApi;
+
+  const syncSince = (cursor) =>
+    syncApi.get(
+      cursor ? `/api/sync?since=${encodeURIComponent(cursor)}` : "/api/sync"
+    );
+  const createSynced = async (text) =>
+    (await syncApi.post("/api/entries").send({ text })).body.id;
+
+  beforeAll(async () => {
+    syncApi = await newUserApi();
+  });
+
+  it("should return an ETag and honor If-None-Match", async () => {
+    const id = await createSynced("Entry with an ETag");
+    const { status, headers } = await syncApi.get(`/api/entries/${id}`);
+
+    expect(status, "GET should return 200 OK").toBe(200);
+    expect(typeof headers.etag, "GET should return an ETag").toBe("string");
+
+    const { status: cachedStatus } = await syncApi
+      .get(`/api/entries/${id}`)
+      .set("If-None-Match", headers.etag);
+    expect(cachedStatus, "Unchanged entry should return 304").toBe(304);
+  });
+
+  it("should update when If-Match matches and issue a new ETag", async () => {
+    const id = await createSynced("Entry edited with If-Match");
+    const { headers } = await syncApi.get(`/api/entries/${id}`);
+
+    const {
+      status,
+      body,
+      headers: putHeaders,
+    } = await syncApi
+      .put(`/api/entries/${id}`)
+      .set("If-Match", headers.etag)
+      .send({ text: "Edited with a fresh ETag" });
+
+    expect(status, "Matching If-Match should return 200 OK").toBe(200);
+    expect(body).toEqual({ id });
+    expect(putHeaders.etag, "Update should issue a new ETag").not.toBe(
+      headers.etag
+    );
+  });
+
+  it("should return 412 when If-Match is stale", async () => {
+    const id = await createSynced("Entry edited from two devices");
+    const { headers } = await syncApi.get(`/api/entries/${id}`);
+    await syncApi
+      .put(`/api/entries/${id}`)
+      .set("If-Match", headers.etag)
+      .send({ text: "Newer server change" });
+
+    const { status, body } = await syncApi
+      .put(`/api/entries/${id}`)
+      .set("If-Match", headers.etag)
+      .send({ text: "Stale offline change" });
+
+    expect(status, "Stale If-Match should return 412").toBe(412);
+    expect(body, "Conflict should use the error model").toMatchObject({
+      code: "PRECONDITION_FAILED",
+      field: "If-Match",
+    });
+
+    const { body: entry } = await syncApi.get(`/api/entries/${id}`);
+    expect(entry.text, "Newer change should be kept").toBe(
+      "Newer server change"
+    );
+  });
+
+  it("should still allow unconditional updates", async () => {
+    const id = await createSynced("Entry updated without If-Match");
+    const { status } = await syncApi
+      .put(`/api/entries/${id}`)
+      .send({ text: "Unconditional update" });
+
+    expect(status, "PUT without If-Match should return 200 OK").toBe(200);
+  });
+
+  it("should return a full change feed and cursor on first sync", async () => {
+    const { status, body } = await syncSince();
+    const { body: entries } = await syncApi.get("/api/entries");
+
+    expect(status, "GET /api/sync should return 200 OK").toBe(200);
+    expect(typeof body.cursor, "Sync should return a cursor").toBe("string");
+    expect(
+      body.changes.map((c) => c.id).sort(),
+      "First sync should include every entry"
+    ).toEqual(entries.map((e) => e.id).sort());
+    body.changes.forEach((change) => {
+      expect(change.deleted, "Live entries should not be tombstones").toBe(
+        false
+      );
+      expect(change.entry.id, "Change should carry the entry").toBe(change.id);
+    });
+  });
+
+  it("should report creations, updates and tombstones since a cursor", async () => {
+    const updatedId = await createSynced("Entry to change after sync");
+    const deletedId = await createSynced("Entry to delete after sync");
+    const { body: first } = await syncSince();
+
+    const createdId = await createSynced("Entry created after sync");
+    await syncApi
+      .put(`/api/entries/${updatedId}`)
+      .send({ text: "Changed after sync" });
+    await syncApi.delete(`/api/entries/${deletedId}`);
+
+    const { status, body } = await syncSince(first.cursor);
+    expect(status, "Incremental sync should return 200 OK").toBe(200);
+
+    const byId = Object.fromEntries(body.changes.map((c) => [c.id, c]));
+    expect(
+      Object.keys(byId).sort(),
+      "Only changed entries should be listed"
+    ).toEqual([createdId, updatedId, deletedId].sort());
+    expect(byId[createdId].entry.text).toBe("Entry created after sync");
+    expect(byId[updatedId].entry.text).toBe("Changed after sync");
+    expect(byId[deletedId], "Deletion should be a tombstone").toMatchObject({
+      id: deletedId,
+      deleted: true,
+    });
+    expect(typeof byId[deletedId].deletedAt, "Tombstone should be dated").toBe(
+      "string"
+    );
+
+    const { body: next } = await syncSince(body.cursor);
+    expect(next.changes, "Nothing should change after catching up").toEqual([]);
+  });
+
+  it("should return 400 for an invalid sync cursor", async () => {
+    const { status, body } = await syncSince("not-a-cursor");
+
+    expect(status, "Invalid since should return 400").toBe(400);
+    expect(body, "Error should point at since").toMatchObject({
+      field: "since",
+    });
+  });
+});
+
+describe("Task 30: Real-Time Entry Stream", () => {
+  let streamApi;
+  let openStreams = [];
+
+  const openStream = (query = "", headers = {}) =>
+    new Promise((resolve, reject) => {
+      const events = [];
+      const req = httpGet(
+        `${baseUrl}/api/stream${query}`,
+        {
+          headers: {
+            Accept: "text/event-stream",
+            Authorization: `Bearer ${streamApi.token}`,
+            ...headers,
+          },
+        },
+        (res) => {
+          let buffer = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf("\n\n")) !== -1) {
+              const event = {};
+              buffer
+                .slice(0, end)
+                .split("\n")
+                .forEach((line) => {
+                  const sep = line.indexOf(":");
+                  if (sep <= 0) return;
+                  const field = line.slice(0, sep);
+                  const value = line.slice(sep + 1).replace(/^ /, "");
+                  event[field] = event[field]
+                    ? `${event[field]}\n${value}`
+                    : value;
+                });
+              buffer = buffer.slice(end + 2);
+              if (!event.data) continue;
+              try {
+                events.push({ ...event, data: JSON.parse(event.data) });
+              } catch (err) {
+                // Ignore non-JSON frames such as keep-alives.
+              }
+            }
+          });
+          const stream = { res, events, close: () => req.destroy() };
+          openStreams.push(stream);
+          resolve(stream);
+        }
+      );
+      req.on("error", reject);
+    });
+
+  const waitForEvent = async (stream, predicate, timeout = 10000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const match = stream.events.find(predicate);
+      if (match) return match;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    return undefined;
+  };
+
+  const createStreamed = async (text) => {
+    const { body } = await streamApi
+      .post("/api/entries")
+      .set("X-Mood-Classifier", moodClassifier)
+      .send({ text });
+    return (await streamApi.get(`/api/entries/${body.id}`)).body;
+  };
+
+  beforeAll(async () => {
+    streamApi = await newUserApi();
+  });
+
+  afterEach(() => {
+    openStreams.forEach((stream) => stream.close());
+    openStreams = [];
+  });
+
+  it("should open an authenticated event stream", async () => {
+    const stream = await openStream();
+
+    expect(stream.res.statusCode, "Stream should return 200 OK").toBe(200);
+    expect(stream.res.headers["content-type"]).toMatch(/text\/event-stream/);
+
+    const anonymous = await openStream("", { Authorization: "" });
+    expect(anonymous.res.statusCode, "Stream without token should be 401").toBe(
+      401
+    );
+  });
+
+  it("should push created, updated and deleted entry events", async () => {
+    const stream = await openStream();
+    const entry = await createStreamed("Streamed entry, happy to be here");
+    await streamApi
+      .put(`/api/entries/${entry.id}`)
+      .send({ text: "Streamed entry, edited" });
+    await streamApi.delete(`/api/entries/${entry.id}`);
+
+    for (const type of ["entry.created", "entry.updated", "entry.deleted"]) {
+      const event = await waitForEvent(
+        stream,
+        (e) => e.event === type && e.data.id === entry.id
+      );
+      expect(event, `${type} should be pushed`).toBeDefined();
+      expect(typeof event.id, `${type} should carry an event id`).toBe(
+        "string"
+      );
+    }
+  });
+
+  it("should push incremental mood summary deltas", async () => {
+    const stream = await openStream();
+    const entry = await createStreamed("Delta entry, feeling joyful");
+
+    const added = await waitForEvent(
+      stream,
+      (e) => e.event === "mood.summary" && e.data[entry.mood] === 1
+    );
+    expect(added, "Creation should increment the mood count").toBeDefined();
+
+    await streamApi.delete(`/api/entries/${entry.id}`);
+    const removed = await waitForEvent(
+      stream,
+      (e) => e.event === "mood.summary" && e.data[entry.mood] === -1
+    );
+    expect(removed, "Deletion should decrement the mood count").toBeDefined();
+  });
+
+  it("should only push entries matching the moods filter", async () => {
+    const stream = await openStream("?moods=happy");
+
+    const other = await createStreamed("Feeling sad and lonely");
+    const matching = await createStreamed("I am very happy today!");
+
+    expect(matching.mood, "Pinned classifier should tag happy text").toBe(
+      "happy"
+    );
+    expect(other.mood, "Pinned classifier should tag sad text").toBe("sad");
+    expect(
+      await waitForEvent(stream, (e) => e.data.id === matching.id),
+      "Matching entry should be pushed"
+    ).toBeDefined();
+    expect(
+      stream.events.map((e) => e.data.id),
+      "Entry with another mood, written first, should not be pushed"
+    ).not.toContain(other.id);
+  });
+
+  it("should replay missed events after reconnecting with Last-Event-ID", async () => {
+    const stream = await openStream();
+    const seen = await createStreamed("Seen before disconnect");
+    const seenEvent = await waitForEvent(
+      stream,
+      (e) => e.event === "entry.created" && e.data.id === seen.id
+    );
+    stream.close();
+
+    const missed = [
+      await createStreamed("Missed while offline one"),
+      await createStreamed("Missed while offline two"),
+    ];
+
+    const resumed = await openStream("", { "Last-Event-ID": seenEvent.id });
+    for (const entry of missed) {
+      expect(
+        await waitForEvent(
+          resumed,
+          (e) => e.event === "entry.created" && e.data.id === entry.id
+        ),
+        `Missed entry "${entry.text}" should be replayed`
+      ).toBeDefined();
+    }
+    const created = resumed.events
+      .filter((e) => e.event === "entry.created")
+      .map((e) => e.data.id);
+    expect(created, "Replay should not resend seen events").not.toContain(
+      seen.id
+    );
+    expect(created.slice(0, 2), "Missed events should replay in order").toEqual(
+      missed.map((e) => e.id)
+    );
+  });
+});
+
+describe("Task 31: Daily Prompts and Templates", () => {
+  let promptApi;
+  let olderMood;
+  let recentMood;
+
+  beforeAll(async () => {
+    promptApi = await newUserApi();
+
+    // More older entries than recent ones, so the all-time dominant mood
+    // differs from the recent one.
+    const monthAgo = fmt(new Date(Date.now() - 40 * 24 * 60 * 60 * 1000));
+    await promptApi
+      .post("/api/import")
+      .set("X-Mood-Classifier", moodClassifier)
+      .send({
+        entries: Array.from({ length: 5 }, (_, i) => ({
+          text: `I am so joyful and happy! (${i})`,
+          createdAt: `${monthAgo}T12:00:00.000Z`,
+        })),
+      });
+    const { body: summary } = await promptApi.get("/api/mood/summary");
+    olderMood = Object.keys(summary).sort((a, b) => summary[b] - summary[a])[0];
+
+    for (let i = 0; i < 3; i++) {
+      const { body } = await promptApi
+        .post("/api/entries")
+        .set("X-Mood-Classifier", moodClassifier)
+        .send({ text: `Feeling very sad and depressed today (${i})` });
+      const { body: entry } = await promptApi.get(`/api/entries/${body.id}`);
+      recentMood = entry.mood;
+    }
+  });
+
+  it("should serve a daily prompt for a user with no entries", async () => {
+    const newUser = await newUserApi();
+    const { status, body } = await newUser.get("/api/prompts/daily");
+
+    expect(status, "GET /api/prompts/daily should return 200 OK").toBe(200);
+    expect(typeof body.id, "Prompt should have an id").toBe("string");
+    expect(typeof body.text, "Prompt should have text").toBe("string");
+    expect(body.text.length, "Prompt text should not be empty").toBeGreaterThan(
+      0
+    );
+    expect(body.basedOnMood, "No entries means no mood to base on").toBeNull();
+  });
+
+  it("should choose the daily prompt from the user's recent mood", async () => {
+    const { status, body } = await promptApi.get("/api/prompts/daily");
+
+    expect(
+      recentMood,
+      "Recent and older entries need different moods"
+    ).not.toBe(olderMood);
+    expect(status, "Daily prompt should return 200 OK").toBe(200);
+    expect(
+      body.basedOnMood,
+      "Prompt should follow the recent mood, not the all-time one"
+    ).toBe(recentMood);
+    expect(body.moods, "Prompt should target the recent mood").toContain(
+      recentMood
+    );
+  });
+
+  it("should keep the same daily prompt for the rest of the day", async () => {
+    const { body: first } = await promptApi.get("/api/prompts/daily");
+    const { body: second } = await promptApi.get("/api/prompts/daily");
+
+    expect(second.id, "Daily prompt should be stable within a day").toBe(
+      first.id
+    );
+    expect(first.date, "Prompt should be dated today").toBe(fmt(new Date()));
+  });
+
+  it("should let users define their own templates", async () => {
+    const { status, body } = await promptApi.post("/api/prompts").send({
+      text: "What helped you get through today?",
+      moods: [recentMood],
+    });
+
+    expect(status, "Creating a template should return 201").toBe(201);
+    expect(body, "Template should echo its fields").toMatchObject({
+      text: "What helped you get through today?",
+      moods: [recentMood],
+      custom: true,
+    });
+
+    const { body: list } = await promptApi.get(
+      `/api/prompts?moods=${recentMood}`
+    );
+    expect(
+      list.map((p) => p.id),
+      "Template should be listed"
+    ).toContain(body.id);
+    list.forEach((prompt) => {
+      expect(prompt.moods, "Listed prompts should match the mood").toContain(
+        recentMood
+      );
+    });
+
+    const { body: others } = await api.get("/api/prompts");
+    expect(
+      others.map((p) => p.id),
+      "Templates should be private to their owner"
+    ).not.toContain(body.id);
+  });
+
+  it("should return 400 for invalid templates", async () => {
+    for (const payload of [
+      { text: "   ", moods: ["sad"] },
+      { text: "Valid text", moods: "sad" },
+    ]) {
+      const { status, body } = await promptApi
+        .post("/api/prompts")
+        .send(payload);
+
+      expect(
+        status,
+        `Should return 400 for template: ${JSON.stringify(payload)}`
+      ).toBe(400);
+      expect(body).toHaveProperty("code");
+      expect(body).toHaveProperty("field");
+    }
+  });
+
+  it("should link entries created from a prompt back to it", async () => {
+    const { body: prompt } = await promptApi.get("/api/prompts/daily");
+    const { status, body } = await promptApi
+      .post("/api/entries")
+      .send({ text: "Answering today's prompt", promptId: prompt.id });
+
+    expect(status, "Entry from a prompt should return 201").toBe(201);
+
+    const { body: entry } = await promptApi.get(`/api/entries/${body.id}`);
+    expect(entry.promptId, "Entry should link to its prompt").toBe(prompt.id);
+
+    const { body: answers } = await promptApi.get(
+      `/api/prompts/${prompt.id}/entries`
+    );
+    expect(
+      answers.map((e) => e.id),
+      "Prompt should list entries written from it"
+    ).toContain(body.id);
+  });
+
+  it("should return 400 or 404 for an invalid promptId on entries", async () => {
+    const { status: invalidStatus, body: invalidBody } = await promptApi
+      .post("/api/entries")
+      .send({ text: "Bad prompt reference", promptId: "not-a-uuid" });
+    const { status: missingStatus, body: missingBody } = await promptApi
+      .post("/api/entries")
+      .send({
+        text: "Missing prompt reference",
+        promptId: "00000000-0000-0000-0000-000000000000",
+      });
+
+    expect(invalidStatus, "Invalid promptId should return 400").toBe(400);
+    expect(invalidBody).toMatchObject({
+      code: "INVALID_UUID",
+      field: "promptId",
+    });
+    expect(missingStatus, "Unknown promptId should return 404").toBe(404);
+    expect(missingBody).toMatchObject({
+      code: "PROMPT_NOT_FOUND",
+      field: "promptId",
+    });
+  });
+
+  it("should delete a user-defined template", async () => {
+    const { body: template } = await promptApi
+      .post("/api/prompts")
+      .send({ text: "Name one small win.", moods: [recentMood] });
+
+    const { status } = await promptApi.delete(`/api/prompts/${template.id}`);
+    expect(status, "Deleting a template should return 204").toBe(204);
+
+    const { body: list } = await promptApi.get("/api/prompts");
+    expect(
+      list.map((p) => p.id),
+      "Deleted template should be gone"
+    ).not.toContain(template.id);
+  });
+});